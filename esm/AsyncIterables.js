@@ -0,0 +1,430 @@
+/**
+ * @file AsyncIterables.js - Utilities for async iterable objects.
+ *
+ * The functions defined in this module accept async iterables, such as
+ *  streams or paginated API results, as well as sync iterables. They mirror
+ *  the functions of 'Iterables', and also accept an 'AbortSignal' through
+ *  their 'signal' option: once it is aborted, they stop reading their
+ *  sources and reject with the abort reason, even while waiting for a
+ *  value.
+ */
+/**
+ * @typedef {number} uint
+ */
+/**
+ * @template T
+ * @typedef {AsyncIterable<T> | Iterable<T>} AnyIterable
+ */
+/**
+ * @typedef {object} AbortOptions
+ * @property {AbortSignal} [signal]
+ */
+import * as tc from "./tc.js";
+
+const noop = () => {};
+
+/**
+ * @private
+ * @param {any} arg
+ * @param {Function} thrower
+ */
+const expectAnyIterable = (arg, thrower) => {
+    if (!tc.isAsyncIterable(arg) && !tc.isIterable(arg)) {
+        tc.throwNewTypeError("an async or sync iterable", thrower, { received: arg });
+    }
+};
+
+/**
+ * @private
+ * @param {any} signal
+ * @param {Function} thrower
+ */
+const expectSignal = (signal, thrower) => {
+    if (signal !== undefined && !(tc.isObject(signal)
+        && typeof signal.aborted === "boolean"
+        && typeof signal.addEventListener === "function")) {
+        tc.throwNewTypeError("an 'AbortSignal' object", thrower, { received: signal });
+    }
+};
+
+/**
+ * @private
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @returns {AsyncIterator<T>}
+ */
+const getAsyncIterator = (iterable) => {
+    if (tc.isAsyncIterable(iterable)) {
+        return /** @type {AsyncIterable<T>} */ (iterable)[Symbol.asyncIterator]();
+    }
+    return (async function* fromSyncIterable() {
+        yield* /** @type {Iterable<T>} */ (iterable);
+    }());
+};
+
+/**
+ * Closes an iterator without waiting, since async generators only handle
+ * 'return()' after their pending 'next()' calls.
+ * @private
+ * @param {AsyncIterator<any>} iterator
+ */
+const closeIterator = (iterator) => {
+    Promise.resolve(iterator.return?.()).catch(noop);
+};
+
+/**
+ * @private
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal | undefined} signal
+ * @returns {Promise<T>} Rejects with the abort reason when the signal is
+ *   aborted first.
+ */
+const raceAbort = (promise, signal) => {
+    if (signal === undefined) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => {
+            signal.removeEventListener("abort", onAbort);
+        });
+    });
+};
+
+/**
+ * Iterates over an async or sync iterable until the given signal is
+ * aborted.
+ * @private
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @param {AbortSignal | undefined} signal
+ * @yields {T}
+ */
+async function* iterate(iterable, signal) {
+    if (signal?.aborted) throw signal.reason;
+    const iterator = getAsyncIterator(iterable);
+    let isDone = false;
+    try {
+        while (true) {
+            const step = await raceAbort(iterator.next(), signal);
+            if (step.done) {
+                isDone = true;
+                return;
+            }
+            yield step.value;
+        }
+    } catch (error) {
+        isDone = signal?.aborted !== true;
+        throw error;
+    } finally {
+        if (!isDone) closeIterator(iterator);
+    }
+}
+
+/**
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @param {uint} [n]
+ * @param {AbortOptions} [options]
+ * @yields {T[]} Chunks of 'n' values, except the last one which may be
+ *   shorter.
+ */
+export async function* chunk(iterable, n = 1, { signal = undefined } = {}) {
+    expectAnyIterable(iterable, chunk);
+    tc.expectStrictlyPositiveInteger(n);
+    expectSignal(signal, chunk);
+    let currentChunk = [];
+    for await (const x of iterate(iterable, signal)) {
+        currentChunk.push(x);
+        if (currentChunk.length === n) {
+            yield currentChunk;
+            currentChunk = [];
+        }
+    }
+    if (currentChunk.length !== 0) yield currentChunk;
+}
+
+/**
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @param {function(T, uint): (boolean | Promise<boolean>)} predicate
+ * @param {AbortOptions} [options]
+ * @yields {T}
+ */
+export async function* filter(iterable, predicate, { signal = undefined } = {}) {
+    expectAnyIterable(iterable, filter);
+    tc.expectFunction(predicate);
+    expectSignal(signal, filter);
+    let i = 0;
+    for await (const x of iterate(iterable, signal)) {
+        if (await raceAbort(Promise.resolve(predicate(x, i++)), signal)) yield x;
+    }
+}
+
+/**
+ * Groups consecutive equal values.
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @param {AbortOptions} [options]
+ * @yields {T[]}
+ */
+export async function* group(iterable, { signal = undefined } = {}) {
+    expectAnyIterable(iterable, group);
+    expectSignal(signal, group);
+    /** @type {T[]} */
+    let currentGroup = [];
+    for await (const x of iterate(iterable, signal)) {
+        if (currentGroup.length !== 0 && currentGroup[0] !== x) {
+            yield currentGroup;
+            currentGroup = [];
+        }
+        currentGroup.push(x);
+    }
+    if (currentGroup.length !== 0) yield currentGroup;
+}
+
+/**
+ * @template T, U
+ * @param {AnyIterable<T>} iterable
+ * @param {function(T, uint): (U | Promise<U>)} fn
+ * @param {AbortOptions} [options]
+ * @yields {U}
+ */
+export async function* map(iterable, fn, { signal = undefined } = {}) {
+    expectAnyIterable(iterable, map);
+    tc.expectFunction(fn);
+    expectSignal(signal, map);
+    let i = 0;
+    for await (const x of iterate(iterable, signal)) {
+        yield await raceAbort(Promise.resolve(fn(x, i++)), signal);
+    }
+}
+
+/**
+ * Like 'map()', but calls the given function on up to 'concurrency' values
+ * at once, reading the source ahead in the background.
+ * - The results are yielded in the order of the values, as soon as they are
+ * available, without waiting for the source.
+ * - The function receives the value, its index and an 'AbortSignal' which
+ * is aborted when no more results are needed.
+ * @template T, U
+ * @param {AnyIterable<T>} iterable
+ * @param {function(T, uint, AbortSignal): (U | Promise<U>)} fn
+ * @param {AbortOptions & { concurrency?: uint }} [options] - The
+ *   'concurrency' option defaults to 4.
+ * @yields {U}
+ * @example
+ * const fetchPage = (url, _, signal) => fetch(url, { signal });
+ * for await (const page of mapConcurrent(urls, fetchPage, { concurrency: 8 })) {
+ *     console.log(page.status);
+ * }
+ */
+export async function* mapConcurrent(iterable, fn, { concurrency = 4, signal = undefined } = {}) {
+    expectAnyIterable(iterable, mapConcurrent);
+    tc.expectFunction(fn);
+    tc.expectStrictlyPositiveInteger(concurrency);
+    expectSignal(signal, mapConcurrent);
+    const source = iterate(iterable, signal);
+    const controller = new globalThis.AbortController();
+    /**
+     * The results which were not yielded yet, including the running calls.
+     * @type {Promise<U>[]}
+     */
+    const pendingResults = [];
+    /** @type {Promise<void> | null} */
+    let pendingRead = null;
+    let isSourceDone = false;
+    let i = 0;
+    /**
+     * Reads the next value unless enough results are pending, and calls the
+     * function on it, then reads again.
+     */
+    const fill = () => {
+        if (pendingRead !== null || isSourceDone || pendingResults.length >= concurrency) return;
+        pendingRead = source.next().then((step) => {
+            pendingRead = null;
+            if (step.done) {
+                isSourceDone = true;
+                return;
+            }
+            // Values read after the consumer stopped are ignored.
+            if (controller.signal.aborted) return;
+            const index = i++;
+            const result = Promise.resolve().then(() => fn(step.value, index, controller.signal));
+            // Errors are reported when the result is yielded.
+            result.catch(noop);
+            pendingResults.push(result);
+            fill();
+        }, (error) => {
+            pendingRead = null;
+            isSourceDone = true;
+            // The error is reported after the results of the previous values.
+            const result = Promise.reject(error);
+            result.catch(noop);
+            pendingResults.push(result);
+        });
+    };
+    try {
+        while (true) {
+            fill();
+            if (pendingResults.length === 0) {
+                if (isSourceDone) return;
+                await pendingRead;
+                continue;
+            }
+            // The result is only removed once settled, so that it counts as running.
+            const result = await raceAbort(pendingResults[0], signal);
+            pendingResults.shift();
+            fill();
+            yield result;
+        }
+    } finally {
+        controller.abort(signal?.reason);
+        closeIterator(source);
+    }
+}
+
+/**
+ * Yields the values of every given source as soon as they are available.
+ * @template T
+ * @param {Array<AnyIterable<T>>} iterables
+ * @param {AbortOptions} [options]
+ * @yields {T}
+ */
+export async function* merge(iterables, { signal = undefined } = {}) {
+    tc.expectArray(iterables);
+    for (const iterable of iterables) expectAnyIterable(iterable, merge);
+    expectSignal(signal, merge);
+    if (signal?.aborted) throw signal.reason;
+    const iterators = iterables.map(getAsyncIterator);
+    /** @type {Map<uint, Promise<{ index: uint, step: IteratorResult<T> }>>} */
+    const pendingSteps = new Map();
+    /**
+     * @param {uint} index
+     */
+    const readNext = (index) => {
+        pendingSteps.set(index, iterators[index].next().then((step) => ({ index, step })));
+    };
+    iterators.forEach((_, index) => readNext(index));
+    try {
+        while (pendingSteps.size !== 0) {
+            const { index, step } = await raceAbort(Promise.race(pendingSteps.values()), signal);
+            if (step.done) {
+                pendingSteps.delete(index);
+            } else {
+                readNext(index);
+                yield step.value;
+            }
+        }
+    } finally {
+        for (const index of pendingSteps.keys()) closeIterator(iterators[index]);
+    }
+}
+
+/**
+ * Reads up to 'size' values ahead of the consumer, so that a slow source
+ * and a slow consumer can work at the same time.
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @param {uint} size
+ * @param {AbortOptions} [options]
+ * @yields {T}
+ */
+export async function* buffer(iterable, size, { signal = undefined } = {}) {
+    expectAnyIterable(iterable, buffer);
+    tc.expectStrictlyPositiveInteger(size);
+    expectSignal(signal, buffer);
+    if (signal?.aborted) throw signal.reason;
+    const iterator = getAsyncIterator(iterable);
+    /** @type {Promise<IteratorResult<T>>[]} */
+    const pendingSteps = [];
+    let isDone = false;
+    const fill = () => {
+        while (pendingSteps.length < size) {
+            const step = iterator.next();
+            // Errors are reported when the value is yielded.
+            step.catch(noop);
+            pendingSteps.push(step);
+        }
+    };
+    try {
+        fill();
+        while (true) {
+            const nextStep = /** @type {Promise<IteratorResult<T>>} */ (pendingSteps.shift());
+            const step = await raceAbort(nextStep, signal);
+            if (step.done) {
+                isDone = true;
+                return;
+            }
+            fill();
+            yield step.value;
+        }
+    } finally {
+        if (!isDone) closeIterator(iterator);
+    }
+}
+
+/**
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @param {uint} n
+ * @param {AbortOptions} [options]
+ * @returns {Promise<T[]>} The first 'n' values, or fewer if the iterable is
+ *   exhausted first.
+ */
+export async function take(iterable, n, { signal = undefined } = {}) {
+    expectAnyIterable(iterable, take);
+    tc.expectPositiveInteger(n);
+    expectSignal(signal, take);
+    const rv = [];
+    if (n === 0) return rv;
+    for await (const x of iterate(iterable, signal)) {
+        rv.push(x);
+        if (rv.length === n) break;
+    }
+    return rv;
+}
+
+/**
+ * @template T
+ * @param {AnyIterable<T>} iterable
+ * @param {function(T, uint): (boolean | Promise<boolean>)} predicate
+ * @param {AbortOptions} [options]
+ * @returns {Promise<T[]>}
+ */
+export async function takeWhile(iterable, predicate, { signal = undefined } = {}) {
+    expectAnyIterable(iterable, takeWhile);
+    tc.expectFunction(predicate);
+    expectSignal(signal, takeWhile);
+    const rv = [];
+    for await (const x of iterate(iterable, signal)) {
+        if (!await raceAbort(Promise.resolve(predicate(x, rv.length)), signal)) break;
+        rv.push(x);
+    }
+    return rv;
+}
+
+/**
+ * Unlike 'Iterables.zip()', the sources are given as an array, so that
+ * options can follow them.
+ * @template T
+ * @param {Array<AnyIterable<T>>} iterables
+ * @param {AbortOptions} [options]
+ * @yields {T[]} Stops as soon as a source is exhausted.
+ */
+export async function* zip(iterables, { signal = undefined } = {}) {
+    tc.expectArray(iterables);
+    for (const iterable of iterables) expectAnyIterable(iterable, zip);
+    expectSignal(signal, zip);
+    const sources = iterables.map((x) => iterate(x, signal));
+    try {
+        while (true) {
+            const steps = await Promise.all(sources.map((x) => x.next()));
+            if (steps.some((step) => step.done)) return;
+            yield steps.map((step) => /** @type {T} */ (step.value));
+        }
+    } finally {
+        sources.forEach(closeIterator);
+    }
+}
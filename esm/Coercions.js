@@ -0,0 +1,308 @@
+/**
+ * @file Coercions.js - Conversion of raw string input to tc types.
+ *
+ * Query strings, environment variables and command line arguments only
+ *  provide strings. The functions defined in this module convert them to
+ *  the types described by tc predicates and schemas, e.g. "42" to 42 for
+ *  'tc.isSafeInteger', or "a,b,c" to ["a", "b", "c"] for
+ *  'tc.arrayOf(tc.isString)'.
+ *
+ * Strings which cannot be converted are left as is, so that they are
+ *  reported as validation failures.
+ */
+import * as Numbers from "./Numbers.js";
+import * as Strings from "./Strings.js";
+import * as tc from "./tc.js";
+
+/**
+ * @typedef {object} CoercionOptions
+ * @property {string} [separator] - Separates the elements of arrays and
+ *   tuples given as a single string. Defaults to ",".
+ */
+
+/**
+ * @typedef {object} CoercionResult
+ * @property {any} value - The converted value.
+ * @property {tc.ValidationFailure[]} failures - An empty array if the
+ *   converted value is valid.
+ */
+
+/**
+ * Functions converting a string to the type of a built-in or registered
+ * tc type, by predicate.
+ * @type {Map<Function, function(string): any>}
+ */
+const coercersByPredicate = new Map();
+
+const baseNumbersByPrefix = { "b": 2, "o": 8, "x": 16 };
+const digitRegExpsByBase = { 2: /^[01]+$/, 8: /^[0-7]+$/, 16: /^[\da-f]+$/i };
+const decimalRegExp = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+
+/**
+ * Parses decimal numbers as well as binary, octal and hexadecimal integers,
+ * e.g. "0x1F".
+ * @private
+ * @param {string} s
+ * @returns {number | string} The given string if it is not numeric.
+ */
+const parseNumber = (s) => {
+    const trimmed = s.trim();
+    const match = /^([+-]?)0([box])(.+)$/i.exec(trimmed);
+    if (match !== null) {
+        const [, sign, prefix, digits] = match;
+        const base = baseNumbersByPrefix[prefix.toLowerCase()];
+        if (!digitRegExpsByBase[base].test(digits)) return s;
+        const n = Numbers.fromBase(digits, base);
+        return sign === "-" ? -n : n;
+    }
+    if (!Strings.isNumericString(trimmed) || !decimalRegExp.test(trimmed)) return s;
+    return Number(trimmed);
+};
+
+/**
+ * @private
+ * @param {string} s
+ * @returns {bigint | string} The given string if it is not an integer.
+ */
+const parseBigInt = (s) => {
+    const trimmed = s.trim();
+    return /^[+-]?\d+$/.test(trimmed) ? BigInt(trimmed) : s;
+};
+
+/**
+ * @private
+ * @param {string} s
+ * @returns {boolean | string} The given string if it is not a boolean word.
+ */
+const parseBoolean = (s) => {
+    switch (s.trim().toLowerCase()) {
+        case "1":
+        case "on":
+        case "true":
+        case "yes": return true;
+        case "0":
+        case "false":
+        case "no":
+        case "off": return false;
+        default: return s;
+    }
+};
+
+/**
+ * Parses ISO 8601 dates, e.g. "2024-01-01" or "2024-01-01T12:00:00Z".
+ * @private
+ * @param {string} s
+ * @returns {Date | string} The given string if it is not a valid date.
+ */
+const parseDate = (s) => {
+    const trimmed = s.trim();
+    if (!/^[+-]?\d{4,6}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?$/.test(trimmed)) return s;
+    const date = new Date(trimmed);
+    return Number.isNaN(date.getTime()) ? s : date;
+};
+
+/**
+ * @private
+ * @param {string} s
+ * @param {string} separator
+ * @returns {string[]}
+ */
+const splitList = (s, separator) => (s.trim() === ""
+    ? []
+    : s.split(separator).map((x) => x.trim()));
+
+/**
+ * @private
+ * @param {any} value
+ * @param {any} literal
+ * @returns {boolean}
+ */
+const isLiteralString = (value, literal) => (typeof value === "string"
+    && typeof literal !== "string"
+    && (literal === null || tc.isPrimitive(literal))
+    && String(literal) === value.trim());
+
+/**
+ * @private
+ * @param {Function} schema
+ * @param {any} value
+ * @param {Required<CoercionOptions>} options
+ * @returns {any}
+ */
+const coerceValue = (schema, value, options) => {
+    const node = tc.getSchemaNode(schema);
+    switch (node?.kind) {
+        case "arrayOf": {
+            const elements = typeof value === "string" ? splitList(value, options.separator) : value;
+            if (!Array.isArray(elements)) return value;
+            return elements.map((x) => coerceValue(node.schema, x, options));
+        }
+        case "intersection": {
+            return node.schemas.reduce((acc, x) => coerceValue(x, acc, options), value);
+        }
+        case "length":
+        case "multipleOf":
+        case "pattern":
+        case "range":
+        case "refine": return coerceValue(node.schema, value, options);
+        case "literal": return isLiteralString(value, node.value) ? node.value : value;
+        case "oneOf": {
+            if (schema(value)) return value;
+            const index = node.values.findIndex((x) => isLiteralString(value, x));
+            return index === -1 ? value : node.values[index];
+        }
+        case "optional": {
+            return value === undefined ? value : coerceValue(node.schema, value, options);
+        }
+        case "record": {
+            if (!tc.isPlainObject(value)) return value;
+            /** @type {Record<string, any>} */
+            const rv = {};
+            for (const key of Object.keys(value)) {
+                rv[key] = coerceValue(node.schema, value[key], options);
+            }
+            return rv;
+        }
+        case "shape": {
+            if (!tc.isPlainObject(value)) return value;
+            const rv = { ...value };
+            for (const key of Object.keys(node.properties)) {
+                if (key in value) rv[key] = coerceValue(node.properties[key], value[key], options);
+            }
+            return rv;
+        }
+        case "tuple": {
+            const elements = typeof value === "string" ? splitList(value, options.separator) : value;
+            if (!Array.isArray(elements) || elements.length !== node.schemas.length) return value;
+            return elements.map((x, i) => coerceValue(node.schemas[i], x, options));
+        }
+        case "union": {
+            if (schema(value)) return value;
+            for (const x of node.schemas) {
+                const rv = coerceValue(x, value, options);
+                if (x(rv)) return rv;
+            }
+            return value;
+        }
+        default: {
+            if (typeof value !== "string" || schema(value)) return value;
+            const coercer = coercersByPredicate.get(schema);
+            return coercer === undefined ? value : coercer(value);
+        }
+    }
+};
+
+/**
+ * @private
+ * @param {any} options
+ * @returns {Required<CoercionOptions>}
+ */
+const getCoercionOptions = (options) => {
+    tc.expectPlainObject(options);
+    const { separator = "," } = options;
+    tc.expectNonEmptyString(separator);
+    return { separator };
+};
+
+/**
+ * Registers how to convert strings to a registered tc type.
+ * @param {Function} predicate - The predicate of a type registered using
+ *   'tc.registerType()'.
+ * @param {function(string): any} coercer - Should return the given string
+ *   if it cannot be converted.
+ */
+export function registerCoercer(predicate, coercer) {
+    tc.getDescription(predicate);
+    tc.expectFunction(coercer);
+    if (coercersByPredicate.has(predicate)) {
+        throw new Error("A coercer is already registered for the given predicate.");
+    }
+    coercersByPredicate.set(predicate, coercer);
+}
+
+/**
+ * Converts raw string input to the type described by a tc predicate or
+ * schema, then validates the result.
+ * - Arrays, plain objects and the values they contain are converted
+ * recursively, without modifying the given input.
+ * - Arrays and tuples may also be given as a single string, e.g. "a,b,c".
+ * - Numbers may also be given in binary, octal or hexadecimal, e.g. "0x1F".
+ * - Booleans may be given as "true", "false", "1", "0", "yes", "no", "on"
+ * or "off".
+ * - Dates must be given in ISO 8601 format, e.g. "2024-01-01".
+ * @param {Function} schema - A predicate or a schema.
+ * @param {any} input
+ * @param {CoercionOptions} [options]
+ * @returns {CoercionResult}
+ * @example
+ * const isQuery = tc.shape({ page: tc.isPositiveInteger, tags: tc.arrayOf(tc.isString) });
+ * coerce(isQuery, { page: "2", tags: "a,b" });
+ * // -> { value: { page: 2, tags: ["a", "b"] }, failures: [] }
+ * coerce(isQuery, { page: "two", tags: "" });
+ * // -> {
+ * //     value: { page: "two", tags: [] },
+ * //     failures: [{ path: "$.page", expected: "a positive integer", received: "string" }],
+ * // }
+ */
+export function coerce(schema, input, options = {}) {
+    tc.getDescription(schema);
+    const value = coerceValue(schema, input, getCoercionOptions(options));
+    return { value, failures: tc.validate(schema, value) };
+}
+
+/**
+ * Creates a function converting raw string input to the type described by
+ * a tc predicate or schema, like 'coerce()'.
+ * @param {Function} schema - A predicate or a schema.
+ * @param {CoercionOptions} [options]
+ * @returns {function(any): any} Returns the converted value, or throws a
+ *   'tc.ValidationError' listing every field which could not be converted.
+ * @example
+ * const parseEnv = makeCoercion(tc.shape({ PORT: tc.range(tc.isSafeInteger, { min: 1 }) }));
+ * const { PORT } = parseEnv(process.env);
+ */
+export function makeCoercion(schema, options = {}) {
+    tc.getDescription(schema);
+    const coercionOptions = getCoercionOptions(options);
+    return function coercion(input) {
+        const value = coerceValue(schema, input, coercionOptions);
+        const failures = tc.validate(schema, value);
+        if (failures.length !== 0) {
+            tc.throwNewValidationError(failures, coercion, { received: input });
+        }
+        return value;
+    };
+}
+
+// Coercers of the built-in tc types.
+{
+    const numberTypeNames = [
+        "Integer",
+        "NegativeInteger",
+        "NegativeNumber",
+        "Number",
+        "PositiveInteger",
+        "PositiveNumber",
+        "RegularNumber",
+        "SafeInteger",
+        "StrictlyNegativeInteger",
+        "StrictlyNegativeNumber",
+        "StrictlyPositiveInteger",
+        "StrictlyPositiveNumber",
+    ];
+    const bigIntTypeNames = [
+        "BigInt",
+        "NegativeBigInt",
+        "PositiveBigInt",
+        "StrictlyNegativeBigInt",
+        "StrictlyPositiveBigInt",
+    ];
+    for (const typeName of numberTypeNames) {
+        coercersByPredicate.set(tc.getPredicate(typeName), parseNumber);
+    }
+    for (const typeName of bigIntTypeNames) {
+        coercersByPredicate.set(tc.getPredicate(typeName), parseBigInt);
+    }
+    coercersByPredicate.set(tc.isBoolean, parseBoolean);
+    coercersByPredicate.set(tc.isDate, parseDate);
+}
@@ -3,6 +3,8 @@
  */
 /* eslint-disable no-invalid-this */
 
+import * as Iterators from "./Iterators.js";
+import * as Objects from "./Objects.js";
 import * as tc from "./tc.js";
 
 /**
@@ -237,6 +239,580 @@ export function before(callback, nTimes) {
 }
 
 // ===== begin section 'Memoization utilities' ===== //
+/**
+ * @typedef {object} MemoCacheOptions
+ * @property {number} [maxSize] - The maximum number of entries. When it is
+ *   exceeded, the least recently used entry is evicted. Defaults to
+ *   'Infinity'.
+ * @property {number} [ttl] - How long entries stay valid, in milliseconds.
+ *   Defaults to 'Infinity'.
+ * @property {function(): number} [clock] - Returns the current time in
+ *   milliseconds. Defaults to 'Date.now'.
+ */
+
+/**
+ * The cache of a memoized function.
+ * - Entries are kept in least recently used order.
+ * - Expired entries are only evicted when they are accessed.
+ */
+export class MemoCache {
+    /** @type {Map<any, { value: any, expiresAt: number }>} */
+    #entries = new Map();
+    #maxSize;
+    #ttl;
+    #clock;
+    #evictions = 0;
+    #expirations = 0;
+
+    /**
+     * @param {MemoCacheOptions} [options]
+     */
+    constructor({ maxSize = Infinity, ttl = Infinity, clock = Date.now } = {}) {
+        if (maxSize !== Infinity) tc.expectStrictlyPositiveInteger(maxSize);
+        tc.expectStrictlyPositiveNumber(ttl);
+        tc.expectFunction(clock);
+        this.#maxSize = maxSize;
+        this.#ttl = ttl;
+        this.#clock = clock;
+    }
+
+    /**
+     * The number of entries, including expired ones which were not
+     * accessed since they expired.
+     * @returns {uint}
+     */
+    get size() {
+        return this.#entries.size;
+    }
+
+    /**
+     * The number of entries evicted because the maximum size was exceeded.
+     * @returns {uint}
+     */
+    get evictions() {
+        return this.#evictions;
+    }
+
+    /**
+     * The number of entries evicted because they expired.
+     * @returns {uint}
+     */
+    get expirations() {
+        return this.#expirations;
+    }
+
+    clear() {
+        this.#entries.clear();
+    }
+
+    /**
+     * @param {any} key
+     * @returns {boolean} Whether an entry was deleted.
+     */
+    delete(key) {
+        return this.#entries.delete(key);
+    }
+
+    /**
+     * Returns the value of an entry, which then becomes the most recently
+     * used one.
+     * @param {any} key
+     * @returns {any} 'undefined' if there is no valid entry for the key.
+     */
+    get(key) {
+        if (!this.has(key)) return undefined;
+        const entry = /** @type {{ value: any, expiresAt: number }} */ (this.#entries.get(key));
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * @param {any} key
+     * @returns {boolean} Whether there is a valid entry for the key.
+     */
+    has(key) {
+        const entry = this.#entries.get(key);
+        if (entry === undefined) return false;
+        if (entry.expiresAt <= this.#clock()) {
+            this.#entries.delete(key);
+            this.#expirations++;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * @returns {IterableIterator<any>} The keys, least recently used first.
+     */
+    keys() {
+        return this.#entries.keys();
+    }
+
+    /**
+     * Adds or replaces an entry, evicting the least recently used ones if
+     * the maximum size is exceeded.
+     * @param {any} key
+     * @param {any} value
+     * @returns {this}
+     */
+    set(key, value) {
+        this.#entries.delete(key);
+        this.#entries.set(key, { value, expiresAt: this.#clock() + this.#ttl });
+        this.#evictLeastRecentlyUsed();
+        return this;
+    }
+
+    /**
+     * Returns the valid entries, least recently used first, in a form which
+     * can be serialized by 'JSON.stringify()' if the keys and values can.
+     * @returns {MemoCacheSnapshot}
+     */
+    snapshot() {
+        const now = this.#clock();
+        /** @type {MemoCacheSnapshot} */
+        const rv = { entries: [] };
+        for (const [key, { value, expiresAt }] of this.#entries) {
+            if (expiresAt <= now) continue;
+            rv.entries.push([key, value, expiresAt === Infinity ? null : expiresAt]);
+        }
+        return rv;
+    }
+
+    /**
+     * Adds the entries of a snapshot, which become the most recently used
+     * ones. Expired entries are ignored.
+     * @param {MemoCacheSnapshot} snapshot - As returned by 'snapshot()',
+     *   possibly after a round trip through JSON.
+     */
+    restore(snapshot) {
+        tc.expectPlainObject(snapshot);
+        tc.makeValidation(isMemoCacheSnapshotEntries)(snapshot.entries);
+        const now = this.#clock();
+        for (const [key, value, expiresAt] of snapshot.entries) {
+            if (expiresAt !== null && expiresAt <= now) continue;
+            this.#entries.delete(key);
+            this.#entries.set(key, { value, expiresAt: expiresAt ?? Infinity });
+        }
+        this.#evictLeastRecentlyUsed();
+    }
+
+    #evictLeastRecentlyUsed() {
+        for (const oldestKey of this.#entries.keys()) {
+            if (this.#entries.size <= this.#maxSize) break;
+            this.#entries.delete(oldestKey);
+            this.#evictions++;
+        }
+    }
+}
+
+/**
+ * A node of the trie of an 'IdentityMemoCache'.
+ * @private
+ * @typedef {{
+ *   weakChildren: WeakMap<object, any>,
+ *   children: Map<any, any>,
+ *   hasValue: boolean,
+ *   value: any,
+ *   expiresAt: number,
+ * }} TrieNode
+ */
+
+/**
+ * @private
+ * @returns {TrieNode}
+ */
+const createTrieNode = () => ({
+    weakChildren: new WeakMap(),
+    children: new Map(),
+    hasValue: false,
+    value: undefined,
+    expiresAt: Infinity,
+});
+
+/**
+ * @private
+ * @param {any} key
+ * @returns {boolean} Whether the key can only be held weakly.
+ */
+const isWeakKey = (key) => (typeof key === "object" && key !== null) || typeof key === "function";
+
+/**
+ * @private
+ * @param {any[]} args
+ * @returns {any[]} The keys of the path of the arguments in the trie. The
+ *   kinds of the arguments come first, so that 'f()' and 'f(undefined)'
+ *   differ, and the object arguments come before the other ones, so that
+ *   the nodes below them are collected with them.
+ */
+const getTrieKeys = (args) => [
+    args.map((x) => (isWeakKey(x) ? "o" : "p")).join(""),
+    ...args.filter(isWeakKey),
+    ...args.filter((x) => !isWeakKey(x)),
+];
+
+/**
+ * @private
+ * @param {TrieNode} node
+ * @param {any} key
+ * @returns {WeakMap<object, TrieNode> | Map<any, TrieNode>}
+ */
+const getTrieChildren = (node, key) => (isWeakKey(key) ? node.weakChildren : node.children);
+
+/**
+ * The cache of a function memoized with the "identity" strategy.
+ * - Keys are argument lists, compared element by element with
+ * 'SameValueZero', without being serialized.
+ * - Objects are only held through nested 'WeakMap' objects, so that
+ * entries are collected with their object arguments. Nodes left empty by
+ * deleted entries are removed, up to the first object argument.
+ * - Entries cannot be enumerated. Only the entries whose arguments are all
+ * primitive values are counted by 'size' and limited by 'maxSize', since the
+ * other ones are collected with their arguments.
+ */
+export class IdentityMemoCache {
+    #root = createTrieNode();
+    /**
+     * The nodes of the entries without object arguments, least recently used
+     * first, with their arguments.
+     * @type {Map<TrieNode, any[]>}
+     */
+    #primitiveEntries = new Map();
+    #maxSize;
+    #ttl;
+    #clock;
+    #evictions = 0;
+    #expirations = 0;
+
+    /**
+     * @param {MemoCacheOptions} [options]
+     */
+    constructor({ maxSize = Infinity, ttl = Infinity, clock = Date.now } = {}) {
+        if (maxSize !== Infinity) tc.expectStrictlyPositiveInteger(maxSize);
+        tc.expectStrictlyPositiveNumber(ttl);
+        tc.expectFunction(clock);
+        this.#maxSize = maxSize;
+        this.#ttl = ttl;
+        this.#clock = clock;
+    }
+
+    /**
+     * The number of entries whose arguments are all primitive values,
+     * including expired ones which were not accessed since they expired.
+     * @returns {uint}
+     */
+    get size() {
+        return this.#primitiveEntries.size;
+    }
+
+    /**
+     * The number of entries evicted because the maximum size was exceeded.
+     * @returns {uint}
+     */
+    get evictions() {
+        return this.#evictions;
+    }
+
+    /**
+     * The number of entries evicted because they expired.
+     * @returns {uint}
+     */
+    get expirations() {
+        return this.#expirations;
+    }
+
+    clear() {
+        this.#root = createTrieNode();
+        this.#primitiveEntries.clear();
+    }
+
+    /**
+     * @param {any[]} args
+     * @returns {boolean} Whether an entry was deleted.
+     */
+    delete(args) {
+        const path = this.#findPath(args, false);
+        const node = path?.at(-1);
+        if (path === undefined || !node?.hasValue) return false;
+        node.hasValue = false;
+        node.value = undefined;
+        this.#primitiveEntries.delete(node);
+        const keys = getTrieKeys(args);
+        for (let i = keys.length; i > 0; i--) {
+            const emptyNode = path[i];
+            if (emptyNode.hasValue || emptyNode.children.size !== 0) break;
+            const key = keys[i - 1];
+            getTrieChildren(path[i - 1], key).delete(key);
+            // Weak children cannot be counted, so that their parent is kept.
+            if (isWeakKey(key)) break;
+        }
+        return true;
+    }
+
+    /**
+     * Returns the value of an entry, which then becomes the most recently
+     * used one.
+     * @param {any[]} args
+     * @returns {any} 'undefined' if there is no valid entry for the arguments.
+     */
+    get(args) {
+        if (!this.has(args)) return undefined;
+        const node = /** @type {TrieNode} */ (this.#findPath(args, false)?.at(-1));
+        if (this.#primitiveEntries.delete(node)) this.#primitiveEntries.set(node, args);
+        return node.value;
+    }
+
+    /**
+     * @param {any[]} args
+     * @returns {boolean} Whether there is a valid entry for the arguments.
+     */
+    has(args) {
+        const node = this.#findPath(args, false)?.at(-1);
+        if (!node?.hasValue) return false;
+        if (node.expiresAt <= this.#clock()) {
+            this.delete(args);
+            this.#expirations++;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Always empty, since entries cannot be enumerated.
+     * @returns {IterableIterator<any[]>}
+     */
+    keys() {
+        return [].values();
+    }
+
+    /**
+     * @param {any[]} args
+     * @param {any} value
+     * @returns {this}
+     */
+    set(args, value) {
+        const node = /** @type {TrieNode} */ (this.#findPath(args, true)?.at(-1));
+        node.hasValue = true;
+        node.value = value;
+        node.expiresAt = this.#clock() + this.#ttl;
+        if (!args.some(isWeakKey)) {
+            this.#primitiveEntries.delete(node);
+            this.#primitiveEntries.set(node, [...args]);
+            this.#evictLeastRecentlyUsed();
+        }
+        return this;
+    }
+
+    /**
+     * @returns {never}
+     * @throws {Error} Always, since entries cannot be enumerated.
+     */
+    snapshot() {
+        throw new Error("Identity-keyed caches cannot be snapshotted.");
+    }
+
+    /**
+     * @returns {never}
+     * @throws {Error} Always, since object identities do not survive JSON.
+     */
+    restore() {
+        throw new Error("Identity-keyed caches cannot be restored.");
+    }
+
+    /**
+     * @param {any[]} args
+     * @param {boolean} create - Whether to create missing nodes.
+     * @returns {TrieNode[] | undefined} The nodes from the root to the node
+     *   of the arguments.
+     */
+    #findPath(args, create) {
+        const path = [this.#root];
+        for (const key of getTrieKeys(args)) {
+            const node = path[path.length - 1];
+            const children = getTrieChildren(node, key);
+            let child = children.get(key);
+            if (child === undefined) {
+                if (!create) return undefined;
+                child = createTrieNode();
+                children.set(key, child);
+            }
+            path[path.length] = child;
+        }
+        return path;
+    }
+
+    #evictLeastRecentlyUsed() {
+        for (const args of this.#primitiveEntries.values()) {
+            if (this.#primitiveEntries.size <= this.#maxSize) break;
+            this.delete(args);
+            this.#evictions++;
+        }
+    }
+}
+
+/**
+ * Creates the cache of a memoized function.
+ * @private
+ * @param {Record<string, any>} options - The options of 'memoize()'.
+ * @param {Function} thrower
+ * @returns {{
+ *   cache: MemoCache | IdentityMemoCache,
+ *   hashFunction: function(any[]): any,
+ *   cacheOptions: MemoCacheOptions,
+ * }}
+ */
+const createMemoCache = (options, thrower) => {
+    tc.expectObject(options);
+    const { strategy = "hash", ...otherOptions } = options;
+    if (strategy !== "hash" && strategy !== "identity") {
+        tc.throwNewTypeError("either \"hash\" or \"identity\" as strategy", thrower, { received: strategy });
+    }
+    if (strategy === "identity") {
+        const { hashFunction, ...cacheOptions } = otherOptions;
+        if (hashFunction !== undefined) {
+            throw new Error("The 'hashFunction' option cannot be used with the \"identity\" strategy.");
+        }
+        return { cache: new IdentityMemoCache(cacheOptions), hashFunction: identity, cacheOptions };
+    }
+    const { hashFunction = JSON.stringify, ...cacheOptions } = otherOptions;
+    tc.expectFunction(hashFunction);
+    return { cache: new MemoCache(cacheOptions), hashFunction, cacheOptions };
+};
+
+/**
+ * @typedef {object} MemoCacheSnapshot
+ * @property {Array<[any, any, number | null]>} entries - The keys, values
+ *   and expiration times of the entries. The expiration time is 'null' for
+ *   entries which never expire.
+ */
+
+/**
+ * Converts between the cached values of a memoized function and the entries
+ * stored in its cache, which differ for 'memoizeAsync()'.
+ * @typedef {object} MemoEntryAccessors
+ * @property {function(any): any} getValue - Returns the cached value of an
+ *   entry.
+ * @property {function(any, number | null): any} makeEntry - Makes an entry
+ *   from a cached value and its expiration time.
+ */
+
+/**
+ * @type {MemoEntryAccessors}
+ */
+const plainEntryAccessors = {
+    getValue: (entry) => entry,
+    makeEntry: (value) => value,
+};
+
+/**
+ * The entry accessors of the caches which do not store plain values.
+ * @type {WeakMap<MemoCache | IdentityMemoCache, MemoEntryAccessors>}
+ */
+const entryAccessorsByCache = new WeakMap();
+
+const isAnyValue = tc.union(tc.isPrimitive, tc.isNonPrimitive);
+const isMemoCacheSnapshotEntries = tc.arrayOf(tc.tuple(
+    isAnyValue,
+    isAnyValue,
+    tc.union(tc.isRegularNumber, tc.literal(null)),
+));
+
+/**
+ * @type {WeakMap<MemoCache | IdentityMemoCache, function(any[]): any>}
+ */
+const hashFunctionsByCache = new WeakMap();
+
+/**
+ * How many calls of memoized functions were served from their cache.
+ * @type {WeakMap<MemoCache | IdentityMemoCache, { hits: uint, misses: uint }>}
+ */
+const callCountsByCache = new WeakMap();
+
+/**
+ * @private
+ * @param {Function} fn
+ * @returns {MemoCache | IdentityMemoCache}
+ */
+const getMemoCache = (fn) => {
+    tc.expectFunction(fn);
+    if (!isMemoized(fn)) {
+        throw new Error("The given function is not a memoization wrapper.");
+    }
+    return cachesByFunction.get(fn);
+};
+
+/**
+ * @typedef {object} MemoStats
+ * @property {uint} hits - The number of calls served from the cache.
+ * @property {uint} misses - The number of calls of the memoized function.
+ * @property {uint} evictions - See 'MemoCache#evictions'.
+ * @property {uint} expirations - See 'MemoCache#expirations'.
+ * @property {uint} size - See 'MemoCache#size'.
+ * @property {ReadonlyArray<any>} keys - The cache keys, least recently used
+ *   first.
+ */
+
+/**
+ * Returns statistics about the cache of a memoized function.
+ * @param {Function} fn - The memoized function or its wrapper.
+ * @returns {Readonly<MemoStats>}
+ * @example
+ * const { hits, misses } = getMemoStats(getUser);
+ * console.log(`hit rate: ${hits / (hits + misses)}`);
+ */
+export function getMemoStats(fn) {
+    const cache = getMemoCache(fn);
+    const callCounts = /** @type {{ hits: uint, misses: uint }} */ (callCountsByCache.get(cache));
+    const { hits, misses } = callCounts;
+    return Object.freeze({
+        hits,
+        misses,
+        evictions: cache.evictions,
+        expirations: cache.expirations,
+        size: cache.size,
+        keys: Object.freeze([...cache.keys()]),
+    });
+}
+
+/**
+ * Returns the valid entries of the cache of a memoized function.
+ * - The snapshot can be saved as JSON for a later warm start.
+ * - It contains the cached values themselves, even for functions memoized by
+ * 'memoizeAsync()', so that it can be restored into any memoized function.
+ * @param {Function} fn - The memoized function or its wrapper.
+ * @returns {MemoCacheSnapshot}
+ * @throws {Error} If the function was memoized with the "identity" strategy.
+ * @example fs.writeFileSync("cache.json", JSON.stringify(snapshotMemo(getUser)));
+ */
+export function snapshotMemo(fn) {
+    const cache = getMemoCache(fn);
+    const { getValue } = entryAccessorsByCache.get(cache) ?? plainEntryAccessors;
+    const { entries } = cache.snapshot();
+    return {
+        entries: entries.map(([key, entry, expiresAt]) => [key, getValue(entry), expiresAt]),
+    };
+}
+
+/**
+ * Adds the entries of a snapshot to the cache of a memoized function.
+ * - The snapshot must come from a function memoized with the same hash
+ * function, and the same kind of clock if entries can expire.
+ * @param {Function} fn - The memoized function or its wrapper.
+ * @param {MemoCacheSnapshot} snapshot - As returned by 'snapshotMemo()'.
+ * @example restoreMemo(getUser, JSON.parse(fs.readFileSync("cache.json", "utf8")));
+ */
+export function restoreMemo(fn, snapshot) {
+    const cache = getMemoCache(fn);
+    const { makeEntry } = entryAccessorsByCache.get(cache) ?? plainEntryAccessors;
+    tc.expectPlainObject(snapshot);
+    tc.makeValidation(isMemoCacheSnapshotEntries)(snapshot.entries);
+    cache.restore({
+        entries: snapshot.entries.map(([key, value, expiresAt]) => (
+            [key, makeEntry(value, expiresAt), expiresAt]
+        )),
+    });
+}
+
 /**
  * @param {Function} fn
  * @returns {boolean}
@@ -246,92 +822,1602 @@ export function isMemoized(fn) {
 }
 
 /**
- * @param {Function} fn
- * @param {object} options
- * @param {function(*): string} options.hashFunction
- * @returns {Function}
+ * Removes the cached result of a single call of a memoized function.
+ * @param {Function} fn - The memoized function or its wrapper.
+ * @param {...*} args - The arguments of the call.
+ * @returns {boolean} Whether a cached result was removed.
+ * @example
+ * const getUser = memoize(fetchUser, { ttl: 60_000 });
+ * invalidate(getUser, "ann");
+ */
+export function invalidate(fn, ...args) {
+    const cache = getMemoCache(fn);
+    const hashFunction = /** @type {function(any[]): any} */ (hashFunctionsByCache.get(cache));
+    const key = hashFunction(args);
+    const hadPendingPromise = pendingPromisesByCache.get(cache)?.delete(key) ?? false;
+    return cache.delete(key) || hadPendingPromise;
+}
+
+/**
+ * @typedef {MemoCacheOptions & {
+ *   hashFunction?: function(any[]): any,
+ *   strategy?: "hash" | "identity",
+ * }} MemoizeOptions
+ * - With the "hash" strategy, which is the default one, cache keys are
+ * computed from the arguments by the 'hashFunction' option, which defaults
+ * to 'JSON.stringify'.
+ * - With the "identity" strategy, arguments are compared by identity and do
+ * not need to be serializable. See 'IdentityMemoCache'.
+ */
+
+/**
+ * @param {Function} fn
+ * @param {MemoizeOptions} [options]
+ * @returns {Function}
+ * @example
+ * const getUser = memoize(fetchUser, { maxSize: 1000, ttl: 60_000 });
+ * const getBounds = memoize(computeBounds, { strategy: "identity" });
+ */
+export function memoize(fn, options = {}) {
+    tc.expectFunction(fn);
+    if (isMemoized(fn)) {
+        throw new Error("The given function is already memoized.");
+    }
+    const { cache, hashFunction } = createMemoCache(options, memoize);
+    const callCounts = { hits: 0, misses: 0 };
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @property {boolean} closed
+     * @returns {*}
+     */
+    const wrapper = function wrapper(...args) {
+        if (wrapper.closed) {
+            return call(fn, this, ...args);
+        }
+        const cacheKey = hashFunction(args);
+        if (cache.has(cacheKey)) {
+            callCounts.hits++;
+            return cache.get(cacheKey);
+        }
+        callCounts.misses++;
+        const rv = call(fn, this, ...args);
+        cache.set(cacheKey, rv);
+        return rv;
+    };
+    wrapper.closed = false;
+    cachesByFunction.set(fn, cache);
+    cachesByFunction.set(wrapper, cache);
+    callCountsByCache.set(cache, callCounts);
+    hashFunctionsByCache.set(cache, hashFunction);
+    wrappedFunctionsByCache.set(cache, fn);
+    wrapperFunctionsByCache.set(cache, wrapper);
+    return wrapper;
+}
+
+/**
+ * In-flight promises of the functions memoized by 'memoizeAsync()', by key.
+ * @type {WeakMap<MemoCache | IdentityMemoCache, Map<any, Promise<any>> | IdentityMemoCache>}
+ */
+const pendingPromisesByCache = new WeakMap();
+
+/**
+ * Memoizes an async function.
+ * - Concurrent calls with the same key share a single in-flight promise.
+ * - Rejected promises are never cached.
+ * - With the 'staleWhileRevalidate' option, expired values are still
+ * returned during the given number of milliseconds, while a new value is
+ * loaded in the background.
+ * - The 'signal' option bounds the lifetime of the memoized function, like
+ * the lifetime of the service using it. Aborting clears the cache and rejects
+ * in-flight promises. The memoized function is then disabled for good: every
+ * later call rejects with the abort reason without calling 'fn', so a new
+ * memoized function must be created to load values again.
+ * @param {function(...*): Promise<*>} fn
+ * @param {MemoizeOptions & {
+ *   staleWhileRevalidate?: number,
+ *   signal?: AbortSignal,
+ * }} [options] - See 'memoize()'.
+ * @returns {function(...*): Promise<*>}
+ * @example
+ * const getUser = memoizeAsync(fetchUser, { ttl: 60_000, staleWhileRevalidate: 10_000 });
+ */
+export function memoizeAsync(fn, options = {}) {
+    tc.expectFunction(fn);
+    if (isMemoized(fn)) {
+        throw new Error("The given function is already memoized.");
+    }
+    tc.expectObject(options);
+    const {
+        staleWhileRevalidate = 0,
+        signal = undefined,
+        ttl = Infinity,
+        clock = Date.now,
+        ...otherOptions
+    } = options;
+    tc.expectPositiveNumber(staleWhileRevalidate);
+    tc.expectStrictlyPositiveNumber(ttl);
+    if (signal !== undefined && !(tc.isObject(signal)
+        && typeof signal.aborted === "boolean"
+        && typeof signal.addEventListener === "function")) {
+        tc.throwNewTypeError("an 'AbortSignal' object", memoizeAsync, { received: signal });
+    }
+    // Stale entries must stay in the cache until they can no longer be used.
+    const { cache, hashFunction } = createMemoCache({
+        ...otherOptions,
+        ttl: ttl + staleWhileRevalidate,
+        clock,
+    }, memoizeAsync);
+    /** @type {Map<any, Promise<any>> | IdentityMemoCache} */
+    const pendingPromises = (cache instanceof IdentityMemoCache
+        ? new IdentityMemoCache()
+        : new Map());
+    const callCounts = { hits: 0, misses: 0 };
+    /** @type {Promise<never>} */
+    let abortion = new Promise(() => undefined);
+    if (signal !== undefined) {
+        abortion = new Promise((_resolve, reject) => {
+            const onAbort = () => {
+                cache.clear();
+                pendingPromises.clear();
+                reject(signal.reason);
+            };
+            if (signal.aborted) onAbort();
+            else signal.addEventListener("abort", onAbort, { once: true });
+        });
+        // Only callers should see the abort reason.
+        abortion.catch(() => undefined);
+    }
+    /**
+     * @param {any} key
+     * @param {any} thisArg
+     * @param {any[]} args
+     * @returns {Promise<any>}
+     */
+    const load = (key, thisArg, args) => {
+        const promise = new Promise((resolve) => {
+            resolve(call(fn, thisArg, ...args));
+        }).then((value) => {
+            if (pendingPromises.get(key) === promise) {
+                pendingPromises.delete(key);
+                cache.set(key, { value, loadedAt: clock() });
+            }
+            return value;
+        }, (error) => {
+            if (pendingPromises.get(key) === promise) {
+                pendingPromises.delete(key);
+                cache.delete(key);
+            }
+            throw error;
+        });
+        pendingPromises.set(key, promise);
+        return Promise.race([promise, abortion]);
+    };
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @property {boolean} closed
+     * @returns {Promise<*>}
+     */
+    const wrapper = function wrapper(...args) {
+        if (wrapper.closed) {
+            return new Promise((resolve) => {
+                resolve(call(fn, this, ...args));
+            });
+        }
+        if (signal?.aborted) return Promise.reject(signal.reason);
+        const cacheKey = hashFunction(args);
+        const pendingPromise = pendingPromises.get(cacheKey);
+        if (cache.has(cacheKey)) {
+            callCounts.hits++;
+            const { value, loadedAt } = cache.get(cacheKey);
+            if (clock() - loadedAt >= ttl && pendingPromise === undefined) {
+                // Errors are ignored since the stale value is returned.
+                load(cacheKey, this, args).catch(() => undefined);
+            }
+            return Promise.resolve(value);
+        }
+        if (pendingPromise !== undefined) {
+            callCounts.hits++;
+            return Promise.race([pendingPromise, abortion]);
+        }
+        callCounts.misses++;
+        return load(cacheKey, this, args);
+    };
+    wrapper.closed = false;
+    cachesByFunction.set(fn, cache);
+    cachesByFunction.set(wrapper, cache);
+    callCountsByCache.set(cache, callCounts);
+    hashFunctionsByCache.set(cache, hashFunction);
+    pendingPromisesByCache.set(cache, pendingPromises);
+    entryAccessorsByCache.set(cache, {
+        getValue: (entry) => entry.value,
+        // Restored entries expire like the loaded ones.
+        makeEntry: (value, expiresAt) => ({
+            value,
+            loadedAt: expiresAt === null ? clock() : expiresAt - ttl - staleWhileRevalidate,
+        }),
+    });
+    wrappedFunctionsByCache.set(cache, fn);
+    wrapperFunctionsByCache.set(cache, wrapper);
+    return wrapper;
+}
+
+/**
+ * Replaces the given method of the given object
+ * by a memoized version, like 'wrapMethod()'.
+ * @param {NonPrimitive} object
+ * @param {PropertyKey} key
+ * @param {MemoizeOptions} [options]
+ */
+export function memoizeMethod(object, key, options = {}) {
+    wrapMethod(object, key, (method) => memoize(method, options));
+}
+
+/**
+ * @param {Function} fn
+ * @returns {Function}
+ */
+export function unmemoize(fn) {
+    tc.expectFunction(fn);
+    if (!isMemoized(fn)) {
+        throw new Error("The given function is not a memoization wrapper.");
+    }
+    const cache = cachesByFunction.get(fn);
+    const wrapped = wrappedFunctionsByCache.get(cache);
+    const wrapper = wrapperFunctionsByCache.get(cache);
+    cachesByFunction.delete(wrapped);
+    cachesByFunction.delete(wrapper);
+    pendingPromisesByCache.get(cache)?.clear();
+    pendingPromisesByCache.delete(cache);
+    entryAccessorsByCache.delete(cache);
+    callCountsByCache.delete(cache);
+    hashFunctionsByCache.delete(cache);
+    wrappedFunctionsByCache.delete(cache);
+    wrapperFunctionsByCache.delete(cache);
+    cache.clear();
+    wrapper.closed = true;
+    return wrapped;
+}
+
+/**
+ * Replaces the given memoized method of the given object
+ * by its original version, like 'unwrapMethod()'.
+ * @param {NonPrimitive} object
+ * @param {PropertyKey} key
+ */
+export function unmemoizeMethod(object, key) {
+    tc.expectNonPrimitive(object);
+    tc.expectPropertyKey(key);
+    const method = object[key];
+    if (!isMemoized(method) || !isWrappedMethod(object, key)) {
+        throw new Error("The given method was not memoized by 'memoizeMethod()'.");
+    }
+    unmemoize(method);
+    unwrapMethod(object, key);
+}
+
+// ===== end of section 'Memoization utilities' ===== //
+// ===== begin section 'Contracts' ===== //
+let contractsEnabled = true;
+
+/**
+ * @returns {boolean} Whether 'contract()' wrappers check their calls.
+ */
+export function areContractsEnabled() {
+    return contractsEnabled;
+}
+
+/**
+ * Globally enables or disables contract checking.
+ * - Contracts are typically disabled in production builds.
+ * - Wrappers created while contracts are disabled are the given functions
+ * themselves, so they have no overhead at all.
+ * - Existing wrappers stop checking their calls while contracts are disabled.
+ * @param {boolean} enabled
+ */
+export function setContractsEnabled(enabled) {
+    tc.expectBoolean(enabled);
+    contractsEnabled = enabled;
+}
+
+/**
+ * Creates a wrapper around the given function, which checks its arguments
+ * and return value against tc predicates or schemas.
+ * - Parameters are checked in the key order of the 'params' object.
+ * Arguments past the last declared parameter are not checked.
+ * @param {Function} fn
+ * @param {object} contract
+ * @param {Record<string, Function>} [contract.params] - Predicates or schemas
+ *   by parameter name.
+ * @param {Function} [contract.returns] - A predicate or schema for the
+ *   return value.
+ * @returns {Function}
+ * @throws {TypeError} When a call breaks the contract.
+ * @example
+ * const listen = contract(function listen(host, port) {
+ *     // ...
+ * }, {
+ *     params: { host: tc.isNonEmptyString, port: tc.isPositiveInteger },
+ *     returns: tc.isBoolean,
+ * });
+ * listen("localhost", "80");
+ * // TypeError: expected argument 'port' (#1) of 'listen' to be a positive integer, got string.
+ */
+export function contract(fn, { params = {}, returns = undefined } = {}) {
+    tc.expectFunction(fn);
+    tc.expectPlainObject(params);
+    const names = Object.keys(params);
+    const schemas = names.map((name) => params[name]);
+    const descriptions = schemas.map(tc.getDescription);
+    const returnDescription = returns === undefined ? "" : tc.getDescription(returns);
+    if (!contractsEnabled) return fn;
+    const fnName = fn.name || "anonymous";
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @returns {*}
+     */
+    const contractWrapper = function contractWrapper(...args) {
+        if (!contractsEnabled) return call(fn, this, ...args);
+        for (let i = 0; i < schemas.length; i++) {
+            if (!schemas[i](args[i])) {
+                tc.throwNewTypeError(
+                    `argument '${names[i]}' (#${i}) of '${fnName}' to be ${descriptions[i]}, got ${tc.getTypeName(args[i])}`,
+                    contractWrapper,
+                    {
+                        code: tc.ErrorCodes.CONTRACT_ARGUMENT,
+                        expected: descriptions[i],
+                        received: args[i],
+                        caller: fnName,
+                        parameter: names[i],
+                        position: i,
+                    },
+                );
+            }
+        }
+        const rv = call(fn, this, ...args);
+        if (returns !== undefined && !returns(rv)) {
+            tc.throwNewTypeError(
+                `the return value of '${fnName}' to be ${returnDescription}, got ${tc.getTypeName(rv)}`,
+                contractWrapper,
+                {
+                    code: tc.ErrorCodes.CONTRACT_RETURN_VALUE,
+                    expected: returnDescription,
+                    received: rv,
+                    caller: fnName,
+                },
+            );
+        }
+        return rv;
+    };
+    return defineNameAndLength(contractWrapper, fn.name, fn.length);
+}
+// ===== end of section 'Contracts' ===== //
+// ===== begin section 'Timing' ===== //
+/**
+ * Schedules the calls of time-based wrappers.
+ * - Custom schedulers, like the ones created by 'createManualScheduler()',
+ * allow to test them with fake time.
+ * @typedef {object} Scheduler
+ * @property {function(): number} now - Returns the current time in
+ *   milliseconds.
+ * @property {function(function(): void, number): any} setTimeout - Calls
+ *   a function after a delay in milliseconds, and returns a handle.
+ * @property {function(any): void} clearTimeout - Cancels a call using its
+ *   handle.
+ */
+
+/**
+ * A scheduler using the real time.
+ * @type {Readonly<Scheduler>}
+ */
+export const defaultScheduler = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => globalThis.setTimeout(callback, delay),
+    clearTimeout: (handle) => globalThis.clearTimeout(handle),
+});
+
+/**
+ * Creates a scheduler whose time only moves when told to.
+ * @param {number} [startTime]
+ * @returns {Scheduler & { advance: function(number): void }} The 'advance()'
+ *   method moves the time forward by the given number of milliseconds,
+ *   calling due callbacks in order.
+ * @example
+ * const scheduler = createManualScheduler();
+ * const save = debounce(saveDraft, 100, { scheduler });
+ * save();
+ * scheduler.advance(100); // Calls 'saveDraft()'.
+ */
+export function createManualScheduler(startTime = 0) {
+    tc.expectRegularNumber(startTime);
+    let time = startTime;
+    let lastHandle = 0;
+    /** @type {Map<number, { callback: function(): void, dueTime: number }>} */
+    const timers = new Map();
+    /**
+     * @param {number} endTime
+     * @returns {number | undefined} The handle of the first timer due before
+     *   the given time.
+     */
+    const getNextHandle = (endTime) => {
+        let nextHandle;
+        let nextDueTime = endTime;
+        for (const [handle, { dueTime }] of timers) {
+            if (dueTime <= nextDueTime && (nextHandle === undefined || dueTime < nextDueTime)) {
+                nextHandle = handle;
+                nextDueTime = dueTime;
+            }
+        }
+        return nextHandle;
+    };
+    return {
+        now: () => time,
+        setTimeout(callback, delay) {
+            tc.expectFunction(callback);
+            tc.expectPositiveNumber(delay);
+            timers.set(++lastHandle, { callback, dueTime: time + delay });
+            return lastHandle;
+        },
+        clearTimeout(handle) {
+            timers.delete(handle);
+        },
+        advance(duration) {
+            tc.expectPositiveNumber(duration);
+            const endTime = time + duration;
+            for (let handle = getNextHandle(endTime); handle !== undefined;
+                handle = getNextHandle(endTime)) {
+                const timer = timers.get(handle);
+                if (timer === undefined) break;
+                const { callback, dueTime } = timer;
+                timers.delete(handle);
+                time = dueTime;
+                callback();
+            }
+            time = endTime;
+        },
+    };
+}
+
+/**
+ * @private
+ * @param {any} scheduler
+ */
+const expectScheduler = (scheduler) => {
+    if (!tc.isNonPrimitive(scheduler)
+        || typeof scheduler.now !== "function"
+        || typeof scheduler.setTimeout !== "function"
+        || typeof scheduler.clearTimeout !== "function") {
+        tc.throwNewTypeError("a scheduler", expectScheduler, { received: scheduler });
+    }
+};
+
+/**
+ * @template {Function} F
+ * @typedef {F & {
+ *   cancel: function(): void,
+ *   flush: function(): any,
+ *   pending: function(): boolean,
+ * }} TimedFunction
+ * - 'cancel()' drops the pending call, if any.
+ * - 'flush()' makes the pending call immediately, if any, and returns the
+ * last result.
+ * - 'pending()' tells whether a call is pending.
+ */
+
+/**
+ * Creates a wrapper which delays calls until it stops being called for
+ * the given time.
+ * - The wrapper returns the result of the last call made.
+ * @template {Function} F
+ * @param {F} fn
+ * @param {number} wait - In milliseconds.
+ * @param {object} [options]
+ * @param {boolean} [options.leading] - Whether to call at the start of a
+ *   burst of calls. Defaults to 'false'.
+ * @param {boolean} [options.trailing] - Whether to call at the end of a
+ *   burst of calls. Defaults to 'true'.
+ * @param {number} [options.maxWait] - The maximum time a call can be
+ *   delayed, in milliseconds.
+ * @param {Scheduler} [options.scheduler]
+ * @returns {TimedFunction<F>}
+ * @see https://lodash.com/docs#debounce
+ * @example
+ * const saveDraft = debounce(save, 500, { maxWait: 5000 });
+ * input.addEventListener("input", saveDraft);
+ */
+export function debounce(fn, wait, {
+    leading = false,
+    trailing = true,
+    maxWait = undefined,
+    scheduler = defaultScheduler,
+} = {}) {
+    tc.expectFunction(fn);
+    tc.expectPositiveNumber(wait);
+    tc.expectBoolean(leading);
+    tc.expectBoolean(trailing);
+    if (maxWait !== undefined) tc.expectPositiveNumber(maxWait);
+    expectScheduler(scheduler);
+    const maxing = maxWait !== undefined;
+    const maxDelay = maxing ? Math.max(maxWait, wait) : Infinity;
+    /** @type {any[] | undefined} */
+    let lastArgs;
+    let lastThis;
+    let result;
+    let timerHandle;
+    /** @type {number | undefined} */
+    let lastCallTime;
+    let lastInvokeTime = 0;
+    let isTimerRunning = false;
+
+    const invoke = (time) => {
+        const args = /** @type {any[]} */ (lastArgs);
+        const thisArg = lastThis;
+        lastArgs = undefined;
+        lastThis = undefined;
+        lastInvokeTime = time;
+        result = call(fn, thisArg, ...args);
+        return result;
+    };
+    const startTimer = (delay) => {
+        isTimerRunning = true;
+        timerHandle = scheduler.setTimeout(onTimer, delay);
+    };
+    const shouldInvoke = (time) => {
+        if (lastCallTime === undefined) return true;
+        const timeSinceLastCall = time - lastCallTime;
+        return (timeSinceLastCall >= wait
+            || timeSinceLastCall < 0
+            || (maxing && time - lastInvokeTime >= maxDelay));
+    };
+    const onTrailingEdge = (time) => {
+        isTimerRunning = false;
+        if (trailing && lastArgs !== undefined) return invoke(time);
+        lastArgs = undefined;
+        lastThis = undefined;
+        return result;
+    };
+    /**
+     * Either calls the function or waits for the remaining time.
+     */
+    function onTimer() {
+        const time = scheduler.now();
+        if (shouldInvoke(time)) {
+            onTrailingEdge(time);
+            return;
+        }
+        const timeWaiting = wait - (time - /** @type {number} */ (lastCallTime));
+        const maxWaiting = maxDelay - (time - lastInvokeTime);
+        startTimer(maxing ? Math.min(timeWaiting, maxWaiting) : timeWaiting);
+    }
+
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @returns {*}
+     */
+    const debounced = function debounced(...args) {
+        const time = scheduler.now();
+        const isInvoking = shouldInvoke(time);
+        lastArgs = args;
+        lastThis = this;
+        lastCallTime = time;
+        if (isInvoking) {
+            if (!isTimerRunning) {
+                lastInvokeTime = time;
+                startTimer(wait);
+                return leading ? invoke(time) : result;
+            }
+            if (maxing) {
+                scheduler.clearTimeout(timerHandle);
+                startTimer(wait);
+                return invoke(time);
+            }
+        }
+        if (!isTimerRunning) startTimer(wait);
+        return result;
+    };
+    debounced.cancel = () => {
+        if (isTimerRunning) scheduler.clearTimeout(timerHandle);
+        isTimerRunning = false;
+        lastInvokeTime = 0;
+        lastArgs = undefined;
+        lastCallTime = undefined;
+        lastThis = undefined;
+    };
+    debounced.flush = () => {
+        if (!isTimerRunning) return result;
+        scheduler.clearTimeout(timerHandle);
+        return onTrailingEdge(scheduler.now());
+    };
+    debounced.pending = () => isTimerRunning;
+    return /** @type {TimedFunction<F>} */ (/** @type {unknown} */ (debounced));
+}
+
+/**
+ * Creates a wrapper which calls the given function at most once per
+ * period of time.
+ * @template {Function} F
+ * @param {F} fn
+ * @param {number} wait - In milliseconds.
+ * @param {object} [options]
+ * @param {boolean} [options.leading] - Whether to call at the start of a
+ *   period. Defaults to 'true'.
+ * @param {boolean} [options.trailing] - Whether to call at the end of a
+ *   period, if there were calls during it. Defaults to 'true'.
+ * @param {Scheduler} [options.scheduler]
+ * @returns {TimedFunction<F>}
+ * @see https://lodash.com/docs#throttle
+ */
+export function throttle(fn, wait, {
+    leading = true,
+    trailing = true,
+    scheduler = defaultScheduler,
+} = {}) {
+    return debounce(fn, wait, { leading, trailing, maxWait: wait, scheduler });
+}
+
+/**
+ * Creates a wrapper which calls the given function as long as a token bucket
+ * is not empty, and queues other calls until the bucket refills.
+ * - The bucket holds up to 'limit' tokens and refills continuously at a rate
+ * of 'limit' tokens per 'interval'.
+ * - The wrapper returns a promise of the result.
+ * - 'cancel()' rejects the promises of the queued calls.
+ * @template {Function} F
+ * @param {F} fn
+ * @param {object} options
+ * @param {uint} options.limit - The maximum number of calls per interval.
+ * @param {number} options.interval - In milliseconds.
+ * @param {Scheduler} [options.scheduler]
+ * @returns {TimedFunction<function(...*): Promise<*>>}
+ * @example
+ * const search = rateLimit(callSearchApi, { limit: 10, interval: 1000 });
+ */
+export function rateLimit(fn, {
+    limit,
+    interval,
+    scheduler = defaultScheduler,
+    // Missing options are reported by the expectations below.
+} = /** @type {{ limit: uint, interval: number }} */ ({})) {
+    tc.expectFunction(fn);
+    tc.expectStrictlyPositiveInteger(limit);
+    tc.expectStrictlyPositiveNumber(interval);
+    expectScheduler(scheduler);
+    /**
+     * @type {Array<{
+     *   thisArg: any,
+     *   args: any[],
+     *   resolve: function(any): void,
+     *   reject: function(any): void,
+     * }>}
+     */
+    let queue = [];
+    let tokens = limit;
+    let lastRefillTime = scheduler.now();
+    let timerHandle;
+    let isTimerRunning = false;
+    let result;
+
+    const run = ({ thisArg, args, resolve, reject }) => {
+        try {
+            result = call(fn, thisArg, ...args);
+            resolve(result);
+        } catch (error) {
+            reject(error);
+        }
+    };
+    const drain = () => {
+        const time = scheduler.now();
+        tokens = Math.min(limit, tokens + (((time - lastRefillTime) * limit) / interval));
+        lastRefillTime = time;
+        while (queue.length !== 0 && tokens >= 1) {
+            tokens--;
+            run(/** @type {typeof queue[0]} */ (queue.shift()));
+        }
+        if (queue.length !== 0 && !isTimerRunning) {
+            isTimerRunning = true;
+            timerHandle = scheduler.setTimeout(() => {
+                isTimerRunning = false;
+                drain();
+            }, Math.ceil(((1 - tokens) * interval) / limit));
+        }
+    };
+    const stopTimer = () => {
+        if (isTimerRunning) scheduler.clearTimeout(timerHandle);
+        isTimerRunning = false;
+    };
+
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @returns {Promise<*>}
+     */
+    const rateLimited = function rateLimited(...args) {
+        return new Promise((resolve, reject) => {
+            queue.push({ thisArg: this, args, resolve, reject });
+            drain();
+        });
+    };
+    rateLimited.cancel = () => {
+        stopTimer();
+        const cancelledCalls = queue;
+        queue = [];
+        for (const { reject } of cancelledCalls) reject(new Error("The call was cancelled."));
+    };
+    rateLimited.flush = () => {
+        stopTimer();
+        const flushedCalls = queue;
+        queue = [];
+        flushedCalls.forEach(run);
+        return result;
+    };
+    rateLimited.pending = () => queue.length !== 0;
+    return rateLimited;
+}
+
+/**
+ * Creates the emitter of the events of a wrapper.
+ * - Errors thrown by listeners are rethrown asynchronously, so that they
+ * cannot interrupt the wrapper nor the other listeners.
+ * @private
+ * @param {string[]} eventTypes
+ * @returns {{
+ *   on: function(string, function(any): void): function(): void,
+ *   emit: function(string, any): void,
+ * }}
+ */
+const createEventEmitter = (eventTypes) => {
+    /** @type {Map<string, Set<function(any): void>>} */
+    const listenersByType = new Map(eventTypes.map((type) => [type, new Set()]));
+    const expectedTypes = `one of the event types ${eventTypes.map((x) => `"${x}"`).join(", ")}`;
+    /**
+     * @param {string} type
+     * @param {function(any): void} listener
+     * @returns {function(): void} Removes the listener.
+     */
+    const on = function on(type, listener) {
+        if (!listenersByType.has(type)) {
+            tc.throwNewTypeError(expectedTypes, on, { received: type });
+        }
+        tc.expectFunction(listener);
+        const listeners = /** @type {Set<function(any): void>} */ (listenersByType.get(type));
+        listeners.add(listener);
+        return () => {
+            listeners.delete(listener);
+        };
+    };
+    return {
+        on,
+        emit(type, event) {
+            for (const listener of [.../** @type {Set<Function>} */ (listenersByType.get(type))]) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    globalThis.queueMicrotask(() => {
+                        throw error;
+                    });
+                }
+            }
+        },
+    };
+};
+
+/**
+ * @private
+ * @param {number} delay
+ * @param {Scheduler} scheduler
+ * @returns {Promise<void>}
+ */
+const sleep = (delay, scheduler) => new Promise((resolve) => {
+    scheduler.setTimeout(resolve, delay);
+});
+
+/**
+ * @typedef {object} RetryEvent
+ * @property {uint} attempt - The number of the next attempt, starting at 2.
+ * @property {number} delay - The time before the next attempt, in
+ *   milliseconds.
+ * @property {any} error - The reason of the failed attempt.
+ */
+
+/**
+ * Creates a wrapper which calls again the given function when it fails,
+ * waiting longer and longer between attempts.
+ * - Works with both synchronous and promise-returning functions, and always
+ * returns a promise.
+ * - The wrapper has an 'on("retry", listener)' method, whose listeners
+ * receive 'RetryEvent' objects. It returns a function removing the listener.
+ * Errors thrown by listeners are rethrown asynchronously and do not stop
+ * the retries.
+ * @template {Function} F
+ * @param {F} fn
+ * @param {object} [options]
+ * @param {uint} [options.retries] - The maximum number of attempts after the
+ *   first one. Defaults to 3.
+ * @param {"exponential" | "linear"} [options.backoff] - How the delay grows
+ *   between attempts. Defaults to "exponential".
+ * @param {number} [options.delay] - The delay before the first retry, in
+ *   milliseconds. Defaults to 100.
+ * @param {number} [options.maxDelay] - Defaults to 'Infinity'.
+ * @param {boolean | number} [options.jitter] - The fraction of each delay
+ *   which is randomized, between 0 and 1. 'true' means 1. Defaults to 0.
+ * @param {function(any, uint): (boolean | Promise<boolean>)} [options.shouldRetry]
+ *   - Tells whether to retry after the given error and attempt number.
+ * @param {function(): number} [options.random] - Returns numbers between 0
+ *   and 1 for the jitter. Defaults to 'Math.random'.
+ * @param {Scheduler} [options.scheduler]
+ * @returns {function(...*): Promise<*>}
+ * @example
+ * const readConfig = retry(() => fs.promises.readFile(path, "utf8"), {
+ *     retries: 5,
+ *     jitter: true,
+ *     shouldRetry: (error) => error.code === "EBUSY",
+ * });
  */
-export function memoize(fn, options = { "hashFunction": JSON.stringify }) {
+export function retry(fn, {
+    retries = 3,
+    backoff = "exponential",
+    delay = 100,
+    maxDelay = Infinity,
+    jitter = 0,
+    shouldRetry = () => true,
+    random = Math.random,
+    scheduler = defaultScheduler,
+} = {}) {
     tc.expectFunction(fn);
-    if (isMemoized(fn)) {
-        throw new Error("The given function is already memoized.");
+    tc.expectPositiveInteger(retries);
+    if (backoff !== "exponential" && backoff !== "linear") {
+        tc.throwNewTypeError("either \"exponential\" or \"linear\" as backoff", retry, { received: backoff });
     }
-    const hashFunction = options && options.hashFunction;
-    tc.expectFunction(hashFunction);
-    const cache = new Map();
+    tc.expectPositiveNumber(delay);
+    tc.expectPositiveNumber(maxDelay);
+    const jitterFraction = jitter === true ? 1 : jitter === false ? 0 : jitter;
+    tc.expectPositiveNumber(jitterFraction);
+    if (jitterFraction > 1) throw new RangeError("expected 'jitter' to be lower than or equal to 1.");
+    tc.expectFunction(shouldRetry);
+    tc.expectFunction(random);
+    expectScheduler(scheduler);
+    const emitter = createEventEmitter(["retry"]);
+    /**
+     * @param {uint} attempt - The number of the failed attempt.
+     * @returns {number}
+     */
+    const getDelay = (attempt) => {
+        const growth = backoff === "exponential" ? 2 ** (attempt - 1) : attempt;
+        const cappedDelay = Math.min(delay * growth, maxDelay);
+        return cappedDelay * (1 - (jitterFraction * random()));
+    };
     /**
      * @this {any}
      * @param {...*} args
-     * @property {boolean} closed
-     * @returns {*}
+     * @returns {Promise<*>}
      */
-    const wrapper = function wrapper(...args) {
-        if (wrapper.closed) {
-            return call(fn, this, ...args);
+    const retrying = async function retrying(...args) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await call(fn, this, ...args);
+            } catch (error) {
+                if (attempt > retries || await shouldRetry(error, attempt) !== true) throw error;
+                const nextDelay = getDelay(attempt);
+                emitter.emit("retry", { attempt: attempt + 1, delay: nextDelay, error });
+                await sleep(nextDelay, scheduler);
+            }
         }
-        const cacheKey = hashFunction(args);
-        if (!cache.has(cacheKey)) {
-            cache.set(cacheKey, call(fn, this, ...args));
+    };
+    retrying.on = emitter.on;
+    return retrying;
+}
+
+/**
+ * The error of calls rejected by an open circuit breaker.
+ */
+export class CircuitOpenError extends Error {
+    name = "CircuitOpenError";
+}
+
+/**
+ * @typedef {"closed" | "open" | "halfOpen"} CircuitState
+ */
+
+/**
+ * @typedef {object} CircuitStateChangeEvent
+ * @property {CircuitState} previousState
+ * @property {CircuitState} state
+ * @property {any} [error] - The reason of the failure which opened the
+ *   circuit, if any.
+ */
+
+/**
+ * Creates a wrapper which stops calling the given function after too many
+ * consecutive failures, then tries again after a while.
+ * - In the "closed" state, calls go through.
+ * - In the "open" state, calls are rejected with a 'CircuitOpenError'.
+ * - After the reset timeout, the next call moves to the "halfOpen" state
+ * and goes through as a trial, while other calls are still rejected. The
+ * circuit closes if the trial succeeds, and opens again otherwise.
+ * - The wrapper has an 'on("stateChange", listener)' method, whose listeners
+ * receive 'CircuitStateChangeEvent' objects, as well as 'getState()' and
+ * 'reset()' methods. Errors thrown by listeners are rethrown asynchronously
+ * and do not affect the state.
+ * @template {Function} F
+ * @param {F} fn
+ * @param {object} [options]
+ * @param {uint} [options.failureThreshold] - The number of consecutive
+ *   failures which opens the circuit. Defaults to 5.
+ * @param {number} [options.resetTimeout] - How long the circuit stays open,
+ *   in milliseconds. Defaults to 30000.
+ * @param {Scheduler} [options.scheduler] - Only its 'now()' method is used.
+ * @returns {function(...*): Promise<*>}
+ * @example
+ * const send = circuitBreaker(sendMessage, { failureThreshold: 3, resetTimeout: 10_000 });
+ * send.on("stateChange", ({ state }) => console.info(`IPC circuit is ${state}.`));
+ */
+export function circuitBreaker(fn, {
+    failureThreshold = 5,
+    resetTimeout = 30000,
+    scheduler = defaultScheduler,
+} = {}) {
+    tc.expectFunction(fn);
+    tc.expectStrictlyPositiveInteger(failureThreshold);
+    tc.expectPositiveNumber(resetTimeout);
+    expectScheduler(scheduler);
+    const emitter = createEventEmitter(["stateChange"]);
+    /** @type {CircuitState} */
+    let state = "closed";
+    let failureCount = 0;
+    let openedAt = 0;
+    let isTrialPending = false;
+    /**
+     * @param {CircuitState} newState
+     * @param {any} [error]
+     */
+    const setState = (newState, ...error) => {
+        if (newState === state) return;
+        const previousState = state;
+        state = newState;
+        if (newState === "open") openedAt = scheduler.now();
+        if (newState === "closed") failureCount = 0;
+        emitter.emit("stateChange", {
+            previousState,
+            state,
+            ...(error.length === 0 ? {} : { error: error[0] }),
+        });
+    };
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @returns {Promise<*>}
+     */
+    const breaker = async function breaker(...args) {
+        if (state === "open" && scheduler.now() - openedAt >= resetTimeout) {
+            setState("halfOpen");
+        }
+        if (state === "open" || (state === "halfOpen" && isTrialPending)) {
+            throw new CircuitOpenError("The circuit is open.");
+        }
+        const isTrial = state === "halfOpen";
+        if (isTrial) isTrialPending = true;
+        try {
+            const rv = await call(fn, this, ...args);
+            if (isTrial) setState("closed");
+            else failureCount = 0;
+            return rv;
+        } catch (error) {
+            failureCount++;
+            if (isTrial || (state === "closed" && failureCount >= failureThreshold)) {
+                setState("open", error);
+            }
+            throw error;
+        } finally {
+            if (isTrial) isTrialPending = false;
         }
-        return cache.get(cacheKey);
     };
-    wrapper.closed = false;
-    cachesByFunction.set(fn, cache);
-    cachesByFunction.set(wrapper, cache);
-    wrappedFunctionsByCache.set(cache, fn);
-    wrapperFunctionsByCache.set(cache, wrapper);
-    return wrapper;
+    breaker.on = emitter.on;
+    breaker.getState = () => state;
+    breaker.reset = () => setState("closed");
+    return breaker;
+}
+// ===== end of section 'Timing' ===== //
+// ===== begin section 'Concurrency' ===== //
+/**
+ * Creates a wrapper which makes at most the given number of calls at once,
+ * and queues other calls until a running one settles.
+ * - The wrapper returns a promise of the result.
+ * - It has a 'pending()' method, telling whether calls are queued, and a
+ * 'cancel()' method, rejecting the promises of the queued calls.
+ * @template {Function} F
+ * @param {F} fn - A function which may return a promise.
+ * @param {uint} n - The maximum number of running calls.
+ * @returns {function(...*): Promise<*>}
+ * @example
+ * const download = limitConcurrency(fetchFile, 4);
+ * await Promise.all(urls.map((url) => download(url)));
+ */
+export function limitConcurrency(fn, n) {
+    tc.expectFunction(fn);
+    tc.expectStrictlyPositiveInteger(n);
+    /**
+     * @type {Array<{
+     *   thisArg: any,
+     *   args: any[],
+     *   resolve: function(any): void,
+     *   reject: function(any): void,
+     * }>}
+     */
+    let queue = [];
+    let runningCount = 0;
+    const runNext = () => {
+        while (runningCount < n && queue.length !== 0) {
+            const job = /** @type {typeof queue[0]} */ (queue.shift());
+            const { thisArg, args, resolve, reject } = job;
+            runningCount++;
+            new Promise((resolveCall) => {
+                resolveCall(call(fn, thisArg, ...args));
+            }).then(resolve, reject).finally(() => {
+                runningCount--;
+                runNext();
+            });
+        }
+    };
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @returns {Promise<*>}
+     */
+    const limited = function limited(...args) {
+        return new Promise((resolve, reject) => {
+            queue.push({ thisArg: this, args, resolve, reject });
+            runNext();
+        });
+    };
+    limited.cancel = () => {
+        const cancelledCalls = queue;
+        queue = [];
+        for (const { reject } of cancelledCalls) reject(new Error("The call was cancelled."));
+    };
+    limited.pending = () => queue.length !== 0;
+    return limited;
 }
 
 /**
- * Replaces the given method of the given object
- * by a memoized version.
- * - Currently does not take property attributes into account.
+ * Calls an async function on every value of an iterable, with at most the
+ * given number of calls at once.
+ * - Values are read lazily, no more than 'concurrency' values ahead of the
+ * finished calls, so that the iterable may be very long or even infinite if
+ * a call fails.
+ * - The function receives the value, its index and an 'AbortSignal' which
+ * is aborted when no more results are needed.
+ * - By default, the returned promise is rejected with the first error, and
+ * no more calls are made. With the 'collectErrors' option, every call is
+ * made and the promise is rejected with an 'AggregateError' listing every
+ * error.
+ * @template T, U
+ * @param {Iterable<T>} iterable
+ * @param {function(T, uint, AbortSignal): (U | Promise<U>)} fn
+ * @param {object} [options]
+ * @param {uint} [options.concurrency] - The maximum number of running
+ *   calls. Defaults to 4.
+ * @param {boolean} [options.collectErrors] - Defaults to 'false'.
+ * @param {AbortSignal} [options.signal] - Cancels the remaining calls and
+ *   rejects the returned promise with the abort reason.
+ * @returns {Promise<U[]>} The results, in the order of the values.
+ * @example
+ * const sizes = await pool.map(paths, (path) => getFileSize(path), { concurrency: 16 });
+ */
+function poolMap(iterable, fn, options = {}) {
+    const { concurrency = 4, collectErrors = false, signal = undefined } = options;
+    const iterator = Iterators.fromIterable(iterable);
+    tc.expectFunction(fn);
+    tc.expectStrictlyPositiveInteger(concurrency);
+    tc.expectBoolean(collectErrors);
+    const controller = new globalThis.AbortController();
+    return new Promise((resolve, reject) => {
+        /** @type {U[]} */
+        const results = [];
+        /** @type {any[]} */
+        const errors = [];
+        let index = 0;
+        let runningCount = 0;
+        let isIteratorDone = false;
+        let isSettled = false;
+        const onAbort = () => fail(/** @type {AbortSignal} */ (signal).reason);
+        /**
+         * @param {any} error
+         */
+        function fail(error) {
+            if (isSettled) return;
+            isSettled = true;
+            signal?.removeEventListener("abort", onAbort);
+            controller.abort(error);
+            if (!isIteratorDone) iterator.return?.();
+            reject(error);
+        }
+        const runNext = () => {
+            while (!isSettled && !isIteratorDone && runningCount < concurrency) {
+                /** @type {IteratorResult<T>} */
+                let step;
+                try {
+                    step = iterator.next();
+                } catch (error) {
+                    isIteratorDone = true;
+                    fail(error);
+                    return;
+                }
+                if (step.done) {
+                    isIteratorDone = true;
+                    break;
+                }
+                const i = index++;
+                const { value } = step;
+                runningCount++;
+                new Promise((resolveCall) => {
+                    resolveCall(fn(value, i, controller.signal));
+                }).then((result) => {
+                    results[i] = /** @type {U} */ (result);
+                }, (error) => {
+                    if (collectErrors) errors.push(error);
+                    else fail(error);
+                }).finally(() => {
+                    runningCount--;
+                    runNext();
+                });
+            }
+            if (!isSettled && isIteratorDone && runningCount === 0) {
+                isSettled = true;
+                signal?.removeEventListener("abort", onAbort);
+                if (errors.length === 0) resolve(results);
+                else reject(new AggregateError(errors, `${errors.length} of ${index} calls failed.`));
+            }
+        };
+        if (signal?.aborted) {
+            fail(signal.reason);
+            return;
+        }
+        signal?.addEventListener("abort", onAbort, { once: true });
+        runNext();
+    });
+}
+
+/**
+ * Utilities to run many async calls with limited concurrency.
+ * @namespace
+ * @property {typeof poolMap} map
+ */
+export const pool = Object.freeze({ map: poolMap });
+// ===== end of section 'Concurrency' ===== //
+// ===== begin section 'Test doubles' ===== //
+/**
+ * @typedef {object} SpyCall
+ * @property {any[]} args
+ * @property {any} thisArg
+ * @property {boolean} threw - Whether the call threw an error.
+ * @property {any} returnValue - 'undefined' if the call threw an error.
+ * @property {any} error - 'undefined' if the call did not throw an error.
+ * @property {number} startTime - The time of the scheduler when the call
+ *   started.
+ * @property {number} duration - The synchronous duration of the call, in
+ *   milliseconds.
+ */
+
+/**
+ * @typedef {object} SpyProperties
+ * @property {ReadonlyArray<Readonly<SpyCall>>} calls - The recorded calls,
+ *   in order.
+ * @property {number} callCount
+ * @property {Readonly<SpyCall> | undefined} lastCall
+ * @property {function(): void} reset - Forgets the recorded calls.
+ */
+
+/**
+ * @typedef {Function & SpyProperties} Spy
+ */
+
+/**
+ * @typedef {object} StubProperties
+ * @property {function(function(...*): *): Stub} callsFake - Sets the
+ *   default implementation.
+ * @property {function(*): Stub} returns - Sets the default return value.
+ * @property {function(...*): Stub} returnsOnce - Queues return values for
+ *   the next calls, which take precedence over the default behavior.
+ * @property {function(*): Stub} throws - Sets the default error to throw.
+ * @property {function(*): Stub} throwsOnce - Queues an error to throw on
+ *   the next call instead of returning a value.
+ */
+
+/**
+ * @typedef {Spy & StubProperties} Stub
+ */
+
+/**
+ * @typedef {Spy & { restore: function(): void }} MethodSpy
+ */
+
+/**
+ * Creates a wrapper around the given function, which records every call.
+ * - The wrapper has the name and the length of the given function.
+ * @param {Function} [fn] - Defaults to 'noop()'.
+ * @param {object} [options]
+ * @param {Scheduler} [options.scheduler] - Provides the time of the calls.
+ * @returns {Spy}
+ * @example
+ * const onChange = Functions.spy();
+ * input.addEventListener("change", onChange);
+ * input.dispatchEvent(new Event("change"));
+ * assert(onChange.callCount === 1);
+ * assert(onChange.lastCall.args[0].type === "change");
+ */
+export function spy(fn = noop, { scheduler = defaultScheduler } = {}) {
+    tc.expectFunction(fn);
+    expectScheduler(scheduler);
+    /** @type {SpyCall[]} */
+    let calls = [];
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @returns {*}
+     */
+    const spyWrapper = function spyWrapper(...args) {
+        /** @type {SpyCall} */
+        const spyCall = {
+            args,
+            thisArg: this,
+            threw: false,
+            returnValue: undefined,
+            error: undefined,
+            startTime: scheduler.now(),
+            duration: 0,
+        };
+        calls.push(spyCall);
+        try {
+            spyCall.returnValue = call(fn, this, ...args);
+            return spyCall.returnValue;
+        } catch (error) {
+            spyCall.threw = true;
+            spyCall.error = error;
+            throw error;
+        } finally {
+            spyCall.duration = scheduler.now() - spyCall.startTime;
+            Object.freeze(spyCall);
+        }
+    };
+    Object.defineProperties(spyWrapper, {
+        calls: { get: () => Object.freeze([...calls]) },
+        callCount: { get: () => calls.length },
+        lastCall: { get: () => calls.at(-1) },
+        reset: {
+            value: () => {
+                calls = [];
+            },
+        },
+    });
+    const rv = defineNameAndLength(spyWrapper, fn.name, fn.length);
+    return /** @type {Spy} */ (/** @type {unknown} */ (rv));
+}
+
+/**
+ * Creates a spy whose behavior is scripted.
+ * - By default, it returns 'undefined'.
+ * - Values queued by 'returnsOnce()' and errors queued by 'throwsOnce()' are
+ * used first, in order.
+ * @param {object} [options]
+ * @param {Scheduler} [options.scheduler] - Provides the time of the calls.
+ * @returns {Stub}
+ * @example
+ * const fetchPage = Functions.stub().returnsOnce("page 1", "page 2").returns(null);
+ * assert(fetchPage() === "page 1");
+ * assert(fetchPage() === "page 2");
+ * assert(fetchPage() === null);
+ */
+export function stub(options = {}) {
+    /** @type {Array<{ threw: boolean, value: any }>} */
+    const queue = [];
+    /** @type {Function} */
+    let defaultBehavior = noop;
+    const stubbed = /** @type {Stub} */ (spy(
+        /**
+         * @this {any}
+         * @param {...*} args
+         * @returns {*}
+         */
+        function stub(...args) {
+            const next = queue.shift();
+            if (next === undefined) return call(defaultBehavior, this, ...args);
+            if (next.threw) throw next.value;
+            return next.value;
+        },
+        options,
+    ));
+    Object.defineProperties(stubbed, {
+        callsFake: {
+            value: (/** @type {Function} */ fn) => {
+                tc.expectFunction(fn);
+                defaultBehavior = fn;
+                return stubbed;
+            },
+        },
+        returns: {
+            value: (/** @type {any} */ value) => {
+                defaultBehavior = () => value;
+                return stubbed;
+            },
+        },
+        returnsOnce: {
+            value: (/** @type {any[]} */ ...values) => {
+                queue.push(...values.map((value) => ({ threw: false, value })));
+                return stubbed;
+            },
+        },
+        throws: {
+            value: (/** @type {any} */ error) => {
+                defaultBehavior = () => {
+                    throw error;
+                };
+                return stubbed;
+            },
+        },
+        throwsOnce: {
+            value: (/** @type {any} */ error) => {
+                queue.push({ threw: true, value: error });
+                return stubbed;
+            },
+        },
+    });
+    return stubbed;
+}
+
+/**
+ * Replaces the given method of the given object by a spy.
+ * - The spy has a 'restore()' method, which restores the original property
+ * descriptor, or deletes the spy if the method was inherited.
  * @param {NonPrimitive} object
  * @param {PropertyKey} key
+ * @param {object} [options]
+ * @param {Scheduler} [options.scheduler] - Provides the time of the calls.
+ * @returns {MethodSpy}
+ * @example
+ * const log = Functions.spyOnMethod(console, "log");
+ * console.log("Hello");
+ * log.restore();
+ * assert(log.calls[0].args[0] === "Hello");
  */
-export function memoizeMethod(object, key) {
-    tc.expectNonPrimitive(object);
-    tc.expectString(key);
-    tc.expectFunction(object[key]);
-    object[key] = memoize(object[key]);
+export function spyOnMethod(object, key, options = {}) {
+    const wrapper = wrapMethod(object, key, (method) => spy(method, options));
+    const methodSpy = /** @type {MethodSpy} */ (wrapper);
+    Object.defineProperty(methodSpy, "restore", {
+        value: () => {
+            if (object[key] !== wrapper) {
+                throw new Error("The method was replaced after it was spied on.");
+            }
+            unwrapMethod(object, key);
+        },
+    });
+    return methodSpy;
 }
+// ===== end of section 'Test doubles' ===== //
+// ===== begin section 'Method wrappers' ===== //
+/**
+ * The original property descriptors of the wrapped methods, by object and
+ * key, from the first wrapping to the last one.
+ * - A descriptor is 'undefined' if the method was inherited.
+ * @type {WeakMap<NonPrimitive, Map<PropertyKey, Array<{
+ *   descriptor: PropertyDescriptor | undefined,
+ *   wrapper: Function,
+ * }>>>}
+ */
+const wrappingsByObject = new WeakMap();
 
 /**
- * @param {Function} fn
- * @returns {Function}
+ * Replaces the given method of the given object by a wrapper.
+ * - The attributes of the property are preserved. If the method is
+ * inherited from a prototype, the wrapper is defined as an own property
+ * with the same attributes.
+ * - Wrapping can be undone by 'unwrapMethod()', in reverse order if the
+ * method is wrapped several times.
+ * @param {NonPrimitive} object
+ * @param {PropertyKey} key
+ * @param {function(Function): Function} wrap - Creates the wrapper from the
+ *   method.
+ * @returns {Function} The wrapper.
+ * @throws {TypeError} If the property is not configurable, or if the method
+ *   is inherited by a non-extensible object.
+ * @example
+ * Functions.wrapMethod(Parser.prototype, Symbol.iterator, (method) => Functions.once(method));
  */
-export function unmemoize(fn) {
-    tc.expectFunction(fn);
-    if (!isMemoized(fn)) {
-        throw new Error("The given function is not a memoization wrapper.");
+export function wrapMethod(object, key, wrap) {
+    tc.expectNonPrimitive(object);
+    tc.expectPropertyKey(key);
+    tc.expectFunction(wrap);
+    const ownDescriptor = Reflect.getOwnPropertyDescriptor(object, key);
+    const descriptor = Objects.getPropertyDescriptor(object, key);
+    if (typeof descriptor?.value !== "function") {
+        throw new TypeError(`Expected a method at key '${String(key)}'.`);
     }
-    const cache = cachesByFunction.get(fn);
-    const wrapped = wrappedFunctionsByCache.get(cache);
-    const wrapper = wrapperFunctionsByCache.get(cache);
-    cachesByFunction.delete(wrapped);
-    cachesByFunction.delete(wrapper);
-    wrappedFunctionsByCache.delete(cache);
-    wrapperFunctionsByCache.delete(cache);
-    cache.clear();
-    wrapper.closed = true;
-    return wrapped;
+    // The wrapper could not be removed from a non-configurable property.
+    if (!descriptor.configurable) {
+        throw new TypeError(`Expected a configurable property at key '${String(key)}'.`);
+    }
+    const wrapper = wrap(descriptor.value);
+    tc.expectFunction(wrapper);
+    if (!Reflect.defineProperty(object, key, { ...descriptor, value: wrapper })) {
+        throw new TypeError(`Cannot define the wrapper at key '${String(key)}' on a non-extensible object.`);
+    }
+    let wrappingsByKey = wrappingsByObject.get(object);
+    if (wrappingsByKey === undefined) {
+        wrappingsByKey = new Map();
+        wrappingsByObject.set(object, wrappingsByKey);
+    }
+    const wrappings = wrappingsByKey.get(key) ?? [];
+    wrappings.push({ descriptor: ownDescriptor, wrapper });
+    wrappingsByKey.set(key, wrappings);
+    return wrapper;
 }
 
 /**
- * Replaces the given memoized method of the given object
- * by its original version.
- * - Currently does not take property attributes into account.
  * @param {NonPrimitive} object
  * @param {PropertyKey} key
+ * @returns {boolean} Whether the given method of the given object is a
+ *   wrapper defined by 'wrapMethod()'.
  */
-export function unmemoizeMethod(object, key) {
+export function isWrappedMethod(object, key) {
     tc.expectNonPrimitive(object);
-    tc.expectString(key);
-    object[key] = unmemoize(object[key]);
+    tc.expectPropertyKey(key);
+    const wrappings = wrappingsByObject.get(object)?.get(key);
+    return wrappings !== undefined
+        && Reflect.getOwnPropertyDescriptor(object, key)?.value === wrappings.at(-1)?.wrapper;
 }
 
-// ===== end of section 'Memoization utilities' ===== //
+/**
+ * Undoes the last 'wrapMethod()' call for the given method of the given
+ * object, by restoring the original property descriptor.
+ * @param {NonPrimitive} object
+ * @param {PropertyKey} key
+ * @returns {Function} The removed wrapper.
+ */
+export function unwrapMethod(object, key) {
+    if (!isWrappedMethod(object, key)) {
+        throw new Error(`The method at key '${String(key)}' is not wrapped by 'wrapMethod()'.`);
+    }
+    const wrappingsByKey = /** @type {Map<PropertyKey, any[]>} */ (wrappingsByObject.get(object));
+    const wrappings = /** @type {any[]} */ (wrappingsByKey.get(key));
+    const { descriptor, wrapper } = wrappings.pop();
+    if (descriptor === undefined) Reflect.deleteProperty(object, key);
+    else Reflect.defineProperty(object, key, descriptor);
+    if (wrappings.length === 0) wrappingsByKey.delete(key);
+    return wrapper;
+}
+
+/**
+ * Creates a decorator for class methods, which wraps the method once per
+ * instance, so that instances do not share caches or timers.
+ * @private
+ * @param {function(Function): Function} wrap
+ * @returns {function(Function, { kind: string }): Function}
+ */
+const createMethodDecorator = (wrap) => (method, context) => {
+    tc.expectFunction(method);
+    if (context?.kind !== "method") {
+        throw new TypeError("Expected to decorate a class method.");
+    }
+    /** @type {WeakMap<NonPrimitive, Function>} */
+    const wrappersByInstance = new WeakMap();
+    /** @type {Function | undefined} */
+    let unboundWrapper;
+    /**
+     * @this {any}
+     * @param {...*} args
+     * @returns {*}
+     */
+    const decorated = function decorated(...args) {
+        if (!tc.isNonPrimitive(this)) {
+            unboundWrapper ??= wrap((/** @type {any[]} */ ...args) => method(...args));
+            return call(unboundWrapper, this, ...args);
+        }
+        let wrapper = wrappersByInstance.get(this);
+        if (wrapper === undefined) {
+            wrapper = wrap(
+                /**
+                 * @this {any}
+                 * @param {...*} args
+                 * @returns {*}
+                 */
+                function instanceMethod(...args) {
+                    return call(method, this, ...args);
+                },
+            );
+            wrappersByInstance.set(this, wrapper);
+        }
+        return call(wrapper, this, ...args);
+    };
+    return defineNameAndLength(decorated, method.name, method.length);
+};
+
+/**
+ * Standard decorators for class methods.
+ * - Each instance has its own memoization cache, call limit or timers.
+ * @namespace
+ * @property {function(Function, { kind: string }): Function} memoize -
+ *   See 'memoize()'.
+ * @property {function(Function, { kind: string }): Function} once - See
+ *   'once()'.
+ * @property {function(number, object=): function(Function, { kind: string }): Function} debounce -
+ *   Creates a decorator given the arguments of 'debounce()', except the
+ *   function.
+ * @example
+ * const { debounce, memoize } = Functions.decorators;
+ * class Query { @memoize normalize(query) { return query.trim().toLowerCase(); } }
+ * class SearchBox { @debounce(300) search(query) { this.fetchResults(query); } }
+ */
+export const decorators = Object.freeze({
+    memoize: createMethodDecorator((method) => memoize(method)),
+    once: createMethodDecorator((method) => once(method)),
+    debounce: (/** @type {number} */ wait, /** @type {object} */ options = {}) => {
+        tc.expectPositiveNumber(wait);
+        tc.expectPlainObject(options);
+        return createMethodDecorator((method) => debounce(method, wait, options));
+    },
+});
+// ===== end of section 'Method wrappers' ===== //
+
+/**
+ * Marks the arguments which are not bound yet, when given to 'curry()',
+ * 'partial()' or 'partialRight()'.
+ * @example
+ * const half = Functions.partial(divide, Functions.placeholder, 2);
+ * assert(half(10) === 5);
+ */
+export const placeholder = Symbol("Functions.placeholder");
+
+/**
+ * Sets the name and the length of a wrapper function, which are read-only
+ * but configurable properties.
+ * @private
+ * @template {Function} F
+ * @param {F} wrapper
+ * @param {string} name
+ * @param {number} length
+ * @returns {F}
+ */
+const defineNameAndLength = (wrapper, name, length) => {
+    Object.defineProperty(wrapper, "name", { configurable: true, value: name });
+    Object.defineProperty(wrapper, "length", { configurable: true, value: Math.max(0, length) });
+    return wrapper;
+};
+
+/**
+ * @private
+ * @param {any[]} args
+ * @returns {number}
+ */
+const countPlaceholders = (args) => args.filter((x) => x === placeholder).length;
+
+/**
+ * Replaces the placeholders of the bound arguments with the given
+ * arguments, in order, then appends the remaining ones.
+ * @private
+ * @param {any[]} boundArgs
+ * @param {any[]} args
+ * @returns {any[]}
+ */
+const mergeArguments = (boundArgs, args) => {
+    const rv = [...boundArgs];
+    let j = 0;
+    for (let i = 0; i < rv.length && j < args.length; i++) {
+        if (rv[i] === placeholder) rv[i] = args[j++];
+    }
+    rv.push(...args.slice(j));
+    return rv;
+};
+
+/**
+ * @private
+ * @param {any[]} args
+ * @returns {any[]} The given arguments, with 'undefined' instead of
+ *   placeholders.
+ */
+const withoutPlaceholders = (args) => args.map((x) => (x === placeholder ? undefined : x));
+
 /**
  * @param {function(*): boolean} predicate
  * @returns {function(*): boolean}
@@ -372,6 +2458,82 @@ export function compose(...functions) {
     };
 }
 
+/**
+ * Creates a curried version of the given function.
+ * - The curried function may be called with any number of arguments.
+ * Until all the expected arguments are given, it returns a curried
+ * function expecting the missing ones.
+ * - Placeholders may be given for arguments to be given later.
+ * @param {Function} fn
+ * @param {uint} [arity] - The number of expected arguments. Defaults to the
+ *   length of the given function, which is set by 'withArity()'.
+ * @returns {Function}
+ * @example
+ * const clamp = Functions.curry((min, max, x) => Math.min(Math.max(x, min), max));
+ * assert(clamp(0)(10)(42) === 10);
+ * assert(clamp(0, 10)(-1) === 0);
+ * assert(clamp(Functions.placeholder, 10)(0, 5) === 5);
+ */
+export function curry(fn, arity = undefined) {
+    tc.expectFunction(fn);
+    const expectedCount = arity ?? fn.length;
+    tc.expectPositiveInteger(expectedCount);
+    const name = `curried ${fn.name}`;
+    /**
+     * @param {any[]} boundArgs
+     * @returns {Function}
+     */
+    function makeCurried(boundArgs) {
+        const missingCount = countPlaceholders(boundArgs.slice(0, expectedCount))
+            + Math.max(0, expectedCount - boundArgs.length);
+        /**
+         * @this {*}
+         * @param {*[]} args
+         */
+        const curried = function curryWrapper(...args) {
+            const allArgs = mergeArguments(boundArgs, args);
+            const isComplete = allArgs.length >= expectedCount
+                && countPlaceholders(allArgs.slice(0, expectedCount)) === 0;
+            return isComplete
+                ? call(fn, this, ...withoutPlaceholders(allArgs))
+                : makeCurried(allArgs);
+        };
+        return defineNameAndLength(curried, name, missingCount);
+    }
+    return makeCurried([]);
+}
+
+/**
+ * Creates a wrapper around the given function,
+ * which represents the composition of the given functions.
+ * - The first given function will be called first, with all the
+ * arguments, then each function is called with the result of the previous
+ * one.
+ * @param {...Function} functions
+ * @returns {Function}
+ * @example
+ * const inverseMax = Functions.pipe(Math.max, (x) => 1 / x);
+ * assert(inverseMax(1, 5, 2) === 0.2);
+ */
+export function pipe(...functions) {
+    tc.expectFunctions(functions);
+    if (functions.length === 0) return identity;
+    if (functions.length === 1) return functions[0];
+    /**
+     * @this {*}
+     * @param {*[]} args
+     */
+    const piped = function pipeWrapper(...args) {
+        let rv = call(functions[0], this, ...args);
+        for (let i = 1; i < functions.length; i++) {
+            rv = call(functions[i], this, rv);
+        }
+        return rv;
+    };
+    const name = `piped ${functions.map((x) => x.name).join(", ")}`;
+    return defineNameAndLength(piped, name, functions[0].length);
+}
+
 /**
  * Shorthand for `Functions.withLimit(callback, 1);`.
  * @param {Function} callback
@@ -406,17 +2568,54 @@ export function repeat(f, nTimes) {
 /**
  * Creates a wrapper around the given function,
  * with the given arguments partially applied.
+ * - Placeholders may be given for arguments to be given later. They are
+ * replaced by the leading arguments of the wrapper, and the other
+ * arguments of the wrapper are appended.
  * @param {Function} fn
  * @param {...*} args
  * @returns {Function}
+ * @example
+ * const greet = (greeting, name, punctuation) => `${greeting}, ${name}${punctuation}`;
+ * const greetLoudly = Functions.partial(greet, Functions.placeholder, "you", "!");
+ * assert(greetLoudly("Hello") === "Hello, you!");
  */
 export function partial(fn, ...args) {
     tc.expectFunction(fn);
     const partialArguments = args;
-    return function partialWrapper(...args) {
+    const partialWrapper = function partialWrapper(...args) {
+        // @ts-ignore
+        return call(fn, this, ...withoutPlaceholders(mergeArguments(partialArguments, args)));
+    };
+    const length = fn.length - args.length + countPlaceholders(args);
+    return defineNameAndLength(partialWrapper, `partial ${fn.name}`, length);
+}
+
+/**
+ * Creates a wrapper around the given function,
+ * with the given arguments partially applied as the last arguments.
+ * - Placeholders may be given for arguments to be given later. They are
+ * replaced by the trailing arguments of the wrapper, and the other
+ * arguments of the wrapper are prepended.
+ * @param {Function} fn
+ * @param {...*} args
+ * @returns {Function}
+ * @example
+ * const greet = (greeting, name, punctuation) => `${greeting}, ${name}${punctuation}`;
+ * const greetLoudly = Functions.partialRight(greet, "!");
+ * assert(greetLoudly("Hello", "you") === "Hello, you!");
+ */
+export function partialRight(fn, ...args) {
+    tc.expectFunction(fn);
+    const partialArguments = args;
+    const placeholderCount = countPlaceholders(args);
+    const partialRightWrapper = function partialRightWrapper(...args) {
+        const leadingCount = Math.max(0, args.length - placeholderCount);
+        const trailingArgs = mergeArguments(partialArguments, args.slice(leadingCount));
         // @ts-ignore
-        return call(fn, this, ...partialArguments, ...args);
+        return call(fn, this, ...args.slice(0, leadingCount), ...withoutPlaceholders(trailingArgs));
     };
+    const length = fn.length - args.length + placeholderCount;
+    return defineNameAndLength(partialRightWrapper, `partialRight ${fn.name}`, length);
 }
 
 /**
@@ -427,10 +2626,11 @@ export function partial(fn, ...args) {
 export function withArity(f, arity) {
     tc.expectFunction(f);
     tc.expectPositiveInteger(arity);
-    return function withArityWrapper(...args) {
+    const withArityWrapper = function withArityWrapper(...args) {
         // @ts-ignore
         return call(f, this, ...args.slice(0, arity));
     };
+    return defineNameAndLength(withArityWrapper, f.name, arity);
 }
 
 /**
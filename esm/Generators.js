@@ -0,0 +1,1007 @@
+/**
+ * @file Generators.js - Seeded random values for property-based testing.
+ */
+/**
+ * @template T
+ * @typedef {object} ValueGenerator
+ * @property {function(function(): number, uint): T} generate - Creates a
+ *   value from a random number source and a size hint.
+ * @property {function(T): Iterable<T>} shrink - Yields simpler values than
+ *   the given one, simplest first.
+ * @property {Function} [predicate] - Checks if a value could
+ *   have been generated.
+ */
+import * as tc from "./tc.js";
+
+/**
+ * Generators of the built-in and registered tc types, by predicate.
+ * @type {Map<Function, ValueGenerator<*>>}
+ */
+const generatorsByPredicate = new Map();
+
+/**
+ * @private
+ * @param {function(): number} random
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+const randomInteger = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * @private
+ * @param {number} min
+ * @param {number} max
+ * @param {uint} size
+ * @returns {number[]} A range within the given bounds, which grows with 'size'.
+ */
+const getSizedRange = (min, max, size) => {
+    const bound = 2 ** size;
+    if (min > bound) return [min, Math.min(max, min + bound)];
+    if (max < -bound) return [Math.max(min, max - bound), max];
+    return [Math.max(min, -bound), Math.min(max, bound)];
+};
+
+/**
+ * @private
+ * @param {number} x
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} integral
+ * @yields {number}
+ */
+function* shrinkNumber(x, min, max, integral) {
+    const target = Math.min(Math.max(0, min), max);
+    if (Object.is(x, target) || Number.isNaN(x)) return;
+    yield target;
+    if (!integral && x !== Math.trunc(x)) {
+        const truncated = Math.trunc(x);
+        if (truncated >= min && truncated <= max) yield truncated;
+    }
+    let delta = integral ? Math.trunc((x - target) / 2) : (x - target) / 2;
+    for (let i = 0; i < 32 && delta !== 0; i++) {
+        yield x - delta;
+        delta = integral ? Math.trunc(delta / 2) : delta / 2;
+    }
+}
+
+/**
+ * Creates a seeded source of random numbers in [0, 1).
+ * - Uses the Mulberry32 algorithm, so that values can be reproduced.
+ * @param {uint} seed
+ * @returns {function(): number}
+ */
+export function createRandom(seed) {
+    tc.expectSafeInteger(seed);
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ====== Primitive generators ====== //
+
+/**
+ * @returns {ValueGenerator<boolean>}
+ */
+export function boolean() {
+    return {
+        generate: (random) => random() < 0.5,
+        * shrink(value) {
+            if (value) yield false;
+        },
+        predicate: tc.isBoolean,
+    };
+}
+
+/**
+ * Creates a generator picking one of the given values.
+ * - Shrinks towards the first values.
+ * @template T
+ * @param {...T} values
+ * @returns {ValueGenerator<T>}
+ */
+export function constantFrom(...values) {
+    tc.expectNonEmptyArray(values);
+    return {
+        generate: (random) => values[randomInteger(random, 0, values.length - 1)],
+        * shrink(value) {
+            const index = values.findIndex((x) => Object.is(x, value));
+            for (let i = 0; i < index; i++) yield values[i];
+        },
+        predicate: (arg) => values.some((x) => Object.is(x, arg)),
+    };
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @returns {ValueGenerator<number>} A generator of regular numbers.
+ */
+export function float({ min = -Number.MAX_VALUE, max = Number.MAX_VALUE } = {}) {
+    tc.expectRegularNumber(min);
+    tc.expectRegularNumber(max);
+    if (min > max) throw new RangeError("expected 'min' to be lower than 'max'.");
+    return {
+        generate(random, size) {
+            const [lo, hi] = getSizedRange(min, max, size);
+            const value = lo + (random() * (hi - lo));
+            // Integral values are more likely to trigger edge cases.
+            const rounded = Math.round(value);
+            return random() < 0.25 && rounded >= min && rounded <= max ? rounded : value;
+        },
+        shrink: (value) => shrinkNumber(value, min, max, false),
+        predicate: (arg) => tc.isRegularNumber(arg) && arg >= min && arg <= max,
+    };
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @returns {ValueGenerator<number>} A generator of safe integers.
+ */
+export function integer({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) {
+    tc.expectSafeInteger(min);
+    tc.expectSafeInteger(max);
+    if (min > max) throw new RangeError("expected 'min' to be lower than 'max'.");
+    return {
+        generate(random, size) {
+            const [lo, hi] = getSizedRange(min, max, size);
+            return randomInteger(random, lo, hi);
+        },
+        shrink: (value) => shrinkNumber(value, min, max, true),
+        predicate: (arg) => tc.isSafeInteger(arg) && arg >= min && arg <= max,
+    };
+}
+
+/**
+ * @param {object} [options]
+ * @param {bigint} [options.min]
+ * @param {bigint} [options.max]
+ * @returns {ValueGenerator<bigint>}
+ */
+export function bigInt({ min = undefined, max = undefined } = {}) {
+    return map(integer({
+        min: min === undefined ? Number.MIN_SAFE_INTEGER : Number(min),
+        max: max === undefined ? Number.MAX_SAFE_INTEGER : Number(max),
+    }), BigInt, Number);
+}
+
+/**
+ * @param {object} [options]
+ * @param {uint} [options.minLength]
+ * @param {uint} [options.maxLength]
+ * @param {string} [options.alphabet] - The characters to pick from.
+ * @returns {ValueGenerator<string>}
+ */
+export function string({
+    minLength = 0,
+    maxLength = Number.MAX_SAFE_INTEGER,
+    alphabet = " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~éß€😀",
+} = {}) {
+    tc.expectNonEmptyString(alphabet);
+    return {
+        ...map(
+            arrayOf(constantFrom(...alphabet), { minLength, maxLength }),
+            (characters) => characters.join(""),
+            (s) => [...s],
+        ),
+        predicate: (arg) => (typeof arg === "string"
+            && [...arg].length >= minLength
+            && [...arg].length <= maxLength),
+    };
+}
+
+// ====== Combinators ====== //
+
+/**
+ * Creates a generator of arrays whose elements come from the given generator.
+ * @template T
+ * @param {ValueGenerator<T>} elementGenerator
+ * @param {object} [options]
+ * @param {uint} [options.minLength]
+ * @param {uint} [options.maxLength]
+ * @returns {ValueGenerator<T[]>}
+ */
+export function arrayOf(elementGenerator, {
+    minLength = 0,
+    maxLength = Number.MAX_SAFE_INTEGER,
+} = {}) {
+    expectValueGenerator(elementGenerator);
+    tc.expectPositiveInteger(minLength);
+    tc.expectPositiveInteger(maxLength);
+    return {
+        generate(random, size) {
+            const length = randomInteger(random, minLength, Math.min(maxLength, minLength + size));
+            const rv = [];
+            for (let i = 0; i < length; i++) rv[i] = elementGenerator.generate(random, size);
+            return rv;
+        },
+        * shrink(value) {
+            if (value.length > minLength) {
+                yield value.slice(0, minLength);
+                const half = Math.floor(value.length / 2);
+                if (half > minLength) {
+                    yield value.slice(0, half);
+                    yield value.slice(value.length - half);
+                }
+                for (let i = 0; i < value.length; i++) {
+                    yield [...value.slice(0, i), ...value.slice(i + 1)];
+                }
+            }
+            for (let i = 0; i < value.length; i++) {
+                for (const element of elementGenerator.shrink(value[i])) {
+                    yield value.with(i, element);
+                }
+            }
+        },
+        predicate: (arg) => (Array.isArray(arg)
+            && arg.length >= minLength
+            && arg.length <= maxLength
+            && arg.every((x) => elementGenerator.predicate?.(x) ?? true)),
+    };
+}
+
+/**
+ * Creates a generator of plain objects whose keys and values come from the
+ * given generators.
+ * @template T
+ * @param {ValueGenerator<string>} keyGenerator
+ * @param {ValueGenerator<T>} valueGenerator
+ * @returns {ValueGenerator<Record<string, T>>}
+ */
+export function dictionary(keyGenerator, valueGenerator) {
+    expectValueGenerator(keyGenerator);
+    expectValueGenerator(valueGenerator);
+    return map(
+        arrayOf(tuple(keyGenerator, valueGenerator)),
+        Object.fromEntries,
+        Object.entries,
+    );
+}
+
+/**
+ * Creates a generator whose values are retried until they match the given
+ * predicate.
+ * @template T
+ * @param {ValueGenerator<T>} generator
+ * @param {function(T): boolean} predicate
+ * @param {uint} [maxTries]
+ * @returns {ValueGenerator<T>}
+ */
+export function filter(generator, predicate, maxTries = 100) {
+    expectValueGenerator(generator);
+    tc.expectFunction(predicate);
+    tc.expectStrictlyPositiveInteger(maxTries);
+    return {
+        generate(random, size) {
+            for (let i = 0; i < maxTries; i++) {
+                const value = generator.generate(random, size);
+                if (predicate(value)) return value;
+            }
+            throw new Error(`Could not generate a matching value in ${maxTries} tries.`);
+        },
+        * shrink(value) {
+            for (const x of generator.shrink(value)) {
+                if (predicate(x)) yield x;
+            }
+        },
+        predicate,
+    };
+}
+
+/**
+ * Creates a generator whose values are transformed by the given function.
+ * - Values can only be shrunk if an inverse function is given.
+ * @template T, U
+ * @param {ValueGenerator<T>} generator
+ * @param {function(T): U} fn
+ * @param {function(U): T} [inverseFn]
+ * @returns {ValueGenerator<U>}
+ */
+export function map(generator, fn, inverseFn = undefined) {
+    expectValueGenerator(generator);
+    tc.expectFunction(fn);
+    if (inverseFn !== undefined) tc.expectFunction(inverseFn);
+    return {
+        generate: (random, size) => fn(generator.generate(random, size)),
+        * shrink(value) {
+            if (inverseFn === undefined) return;
+            for (const x of generator.shrink(inverseFn(value))) yield fn(x);
+        },
+    };
+}
+
+/**
+ * Creates a generator picking a value from one of the given generators.
+ * - Values are shrunk by the generators whose predicate accepts them.
+ * @param {...ValueGenerator<*>} generators
+ * @returns {ValueGenerator<*>}
+ */
+export function oneOf(...generators) {
+    tc.expectNonEmptyArray(generators);
+    generators.forEach(expectValueGenerator);
+    return {
+        generate: (random, size) => (
+            generators[randomInteger(random, 0, generators.length - 1)].generate(random, size)
+        ),
+        * shrink(value) {
+            for (const generator of generators) {
+                if (generator.predicate?.(value)) yield* generator.shrink(value);
+            }
+        },
+    };
+}
+
+/**
+ * Creates a generator of plain objects with the given properties.
+ * @param {Record<string, ValueGenerator<*>>} generatorsByKey
+ * @param {string[]} [optionalKeys] - Keys which may be missing.
+ * @returns {ValueGenerator<Record<string, *>>}
+ */
+export function object(generatorsByKey, optionalKeys = []) {
+    tc.expectPlainObject(generatorsByKey);
+    tc.expectStrings(optionalKeys);
+    const keys = Object.keys(generatorsByKey);
+    keys.forEach((key) => expectValueGenerator(generatorsByKey[key]));
+    return {
+        generate(random, size) {
+            const rv = {};
+            for (const key of keys) {
+                if (optionalKeys.includes(key) && random() < 0.25) continue;
+                rv[key] = generatorsByKey[key].generate(random, size);
+            }
+            return rv;
+        },
+        * shrink(value) {
+            for (const key of keys) {
+                if (!(key in value)) continue;
+                if (optionalKeys.includes(key)) {
+                    const rest = { ...value };
+                    delete rest[key];
+                    yield rest;
+                }
+                for (const x of generatorsByKey[key].shrink(value[key])) {
+                    yield { ...value, [key]: x };
+                }
+            }
+        },
+    };
+}
+
+/**
+ * Creates a generator of arrays whose elements come from the generator at
+ * the same index.
+ * @param {...ValueGenerator<*>} generators
+ * @returns {ValueGenerator<*[]>}
+ */
+export function tuple(...generators) {
+    generators.forEach(expectValueGenerator);
+    return {
+        generate: (random, size) => generators.map((generator) => generator.generate(random, size)),
+        * shrink(value) {
+            for (let i = 0; i < generators.length; i++) {
+                for (const x of generators[i].shrink(value[i])) yield value.with(i, x);
+            }
+        },
+        predicate: (arg) => Array.isArray(arg) && arg.length === generators.length,
+    };
+}
+
+// ====== tc types and schemas ====== //
+
+/**
+ * @param {*} arg
+ * @returns {arg is ValueGenerator<*>}
+ */
+export function isValueGenerator(arg) {
+    return (tc.isNonPrimitive(arg)
+        && typeof arg.generate === "function"
+        && typeof arg.shrink === "function");
+}
+
+/**
+ * @private
+ * @param {*} arg
+ */
+const expectValueGenerator = (arg) => {
+    if (!isValueGenerator(arg)) tc.throwNewTypeError("a value generator", expectValueGenerator);
+};
+
+/**
+ * Registers the generator to use for a registered tc type.
+ * @param {Function} predicate - The predicate of a type registered using
+ *   'tc.registerType()'.
+ * @param {ValueGenerator<*>} generator
+ */
+export function registerGenerator(predicate, generator) {
+    tc.getDescription(predicate);
+    expectValueGenerator(generator);
+    if (generatorsByPredicate.has(predicate)) {
+        throw new Error("A generator is already registered for the given predicate.");
+    }
+    generatorsByPredicate.set(predicate, filter(generator, (x) => predicate(x)));
+}
+
+/**
+ * Code point ranges of the characters which '.' and negated classes generate.
+ * @type {Array<[number, number]>}
+ */
+const printableRanges = [[0x20, 0x7e]];
+
+/**
+ * @type {Record<string, Array<[number, number]>>}
+ */
+const rangesByClassEscape = {
+    "d": [[0x30, 0x39]],
+    "s": [[0x09, 0x0d], [0x20, 0x20]],
+    "w": [[0x30, 0x39], [0x41, 0x5a], [0x5f, 0x5f], [0x61, 0x7a]],
+};
+
+/**
+ * @type {Record<string, number>}
+ */
+const codePointsByControlEscape = { "f": 0x0c, "n": 0x0a, "r": 0x0d, "t": 0x09, "v": 0x0b };
+
+/**
+ * @private
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>} The printable characters out of the
+ *   given ranges.
+ */
+const negateRanges = (ranges) => {
+    /** @type {Array<[number, number]>} */
+    const rv = [];
+    const [[min, max]] = printableRanges;
+    for (let c = min; c <= max; c++) {
+        if (!ranges.some(([lo, hi]) => c >= lo && c <= hi)) rv[rv.length] = [c, c];
+    }
+    return rv;
+};
+
+/**
+ * @private
+ * @param {function(): number} random
+ * @param {Array<[number, number]>} ranges
+ * @returns {string} A character from one of the ranges, all characters being
+ *   equally likely.
+ */
+const pickCharacter = (random, ranges) => {
+    const count = ranges.reduce((sum, [lo, hi]) => sum + (hi - lo) + 1, 0);
+    let n = randomInteger(random, 0, count - 1);
+    for (const [lo, hi] of ranges) {
+        if (n <= hi - lo) return String.fromCodePoint(lo + n);
+        n -= (hi - lo) + 1;
+    }
+    throw new Error("Unreachable.");
+};
+
+/**
+ * Creates a function generating strings which match a regular expression.
+ * - Only characters, character classes, groups, alternations and quantifiers
+ * are supported, with '^' and '$' at the ends of the alternatives.
+ * - Unbounded quantifiers repeat up to 'size' more times than their minimum.
+ * @private
+ * @param {RegExp} regExp
+ * @returns {function(function(): number, uint): string}
+ * @throws {TypeError} If the pattern uses other features, like lookarounds
+ *   or backreferences.
+ */
+const compilePattern = (regExp) => {
+    const source = [...regExp.source];
+    let index = 0;
+    /**
+     * @returns {never}
+     */
+    const fail = () => {
+        throw new TypeError(`Unsupported pattern ${regExp}: pass an explicit generator instead.`);
+    };
+    /**
+     * @param {uint} length - The number of digits, or 0 for "{...}".
+     * @returns {number}
+     */
+    const parseHex = (length) => {
+        let end = index + length;
+        if (length === 0) {
+            if (source[index] !== "{") fail();
+            end = source.indexOf("}", index);
+            index++;
+        }
+        const digits = source.slice(index, end).join("");
+        if (!/^[\da-f]+$/i.test(digits) || (length !== 0 && digits.length !== length)) fail();
+        index = length === 0 ? end + 1 : end;
+        const codePoint = Number.parseInt(digits, 16);
+        if (codePoint > 0x10ffff) fail();
+        return codePoint;
+    };
+    /**
+     * Parses the escape sequence following a backslash.
+     * @param {boolean} inClass
+     * @returns {Array<[number, number]>}
+     */
+    const parseEscape = (inClass) => {
+        const c = source[index++] ?? fail();
+        const lower = c.toLowerCase();
+        if (lower in rangesByClassEscape) {
+            return (c === lower
+                ? rangesByClassEscape[c]
+                : negateRanges(rangesByClassEscape[lower]));
+        }
+        /** @type {number} */
+        let codePoint;
+        if (c in codePointsByControlEscape) {
+            codePoint = codePointsByControlEscape[c];
+        } else if (c === "b" && inClass) {
+            codePoint = 0x08;
+        } else if (c === "0" && !/\d/.test(source[index] ?? "")) {
+            codePoint = 0;
+        } else if (c === "x") {
+            codePoint = parseHex(2);
+        } else if (c === "u") {
+            codePoint = parseHex(source[index] === "{" ? 0 : 4);
+        } else if (/[\da-z]/i.test(c)) {
+            // Like word boundaries, backreferences or Unicode properties.
+            return fail();
+        } else {
+            codePoint = /** @type {number} */ (c.codePointAt(0));
+        }
+        return [[codePoint, codePoint]];
+    };
+    /**
+     * @returns {Array<[number, number]>}
+     */
+    const parseClassAtom = () => {
+        const c = source[index++] ?? fail();
+        if (c === "\\") return parseEscape(true);
+        const codePoint = /** @type {number} */ (c.codePointAt(0));
+        return [[codePoint, codePoint]];
+    };
+    /**
+     * Parses a character class, after its opening bracket.
+     * @returns {Array<[number, number]>}
+     */
+    const parseClass = () => {
+        const isNegated = source[index] === "^";
+        if (isNegated) index++;
+        /** @type {Array<[number, number]>} */
+        const ranges = [];
+        while (source[index] !== "]") {
+            const atom = parseClassAtom();
+            if (source[index] === "-" && source[index + 1] !== "]" && source[index + 1] !== undefined) {
+                index++;
+                const end = parseClassAtom();
+                if (atom.length !== 1 || end.length !== 1 || atom[0][0] !== atom[0][1]) fail();
+                if (end[0][0] !== end[0][1] || atom[0][0] > end[0][0]) fail();
+                ranges[ranges.length] = [atom[0][0], end[0][0]];
+            } else {
+                for (const range of atom) ranges[ranges.length] = range;
+            }
+        }
+        index++;
+        const rv = isNegated ? negateRanges(ranges) : ranges;
+        if (rv.length === 0) fail();
+        return rv;
+    };
+    /**
+     * @returns {[number, number] | undefined} The minimum and maximum counts
+     *   of the quantifier at the current index, if any.
+     */
+    const parseQuantifier = () => {
+        /** @type {[number, number] | undefined} */
+        let rv;
+        const c = source[index];
+        if (c === "*") {
+            rv = [0, Infinity];
+        } else if (c === "+") {
+            rv = [1, Infinity];
+        } else if (c === "?") {
+            rv = [0, 1];
+        } else if (c === "{") {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index, index + 32).join(""));
+            if (match === null) return undefined;
+            const min = Number(match[1]);
+            const max = match[2] === undefined ? min : Number(match[3] || Infinity);
+            if (min > max) fail();
+            index += match[0].length - 1;
+            rv = [min, max];
+        } else {
+            return undefined;
+        }
+        index++;
+        // Lazy quantifiers match the same strings.
+        if (source[index] === "?") index++;
+        return rv;
+    };
+    /**
+     * @param {boolean} isTopLevel
+     * @returns {function(function(): number, uint): string}
+     */
+    const parseSequence = (isTopLevel) => {
+        /** @type {Array<function(function(): number, uint): string>} */
+        const terms = [];
+        while (index < source.length && source[index] !== "|" && source[index] !== ")") {
+            const c = source[index++];
+            if (c === "^") {
+                if (!isTopLevel || terms.length !== 0) fail();
+                continue;
+            }
+            if (c === "$") {
+                if (!isTopLevel || (index < source.length && source[index] !== "|")) fail();
+                continue;
+            }
+            /** @type {function(function(): number, uint): string} */
+            let term;
+            if (c === "(") {
+                if (source[index] === "?") {
+                    if (source[index + 1] === ":") {
+                        index += 2;
+                    } else if (source[index + 1] === "<" && !"=!".includes(source[index + 2] ?? "=")) {
+                        // Named groups are only captured.
+                        index = source.indexOf(">", index) + 1;
+                        if (index === 0) fail();
+                    } else {
+                        // Lookarounds and modifiers.
+                        fail();
+                    }
+                }
+                term = parseAlternation(false);
+                if (source[index++] !== ")") fail();
+            } else if (c === "[") {
+                const ranges = parseClass();
+                term = (random) => pickCharacter(random, ranges);
+            } else if (c === ".") {
+                term = (random) => pickCharacter(random, printableRanges);
+            } else if (c === "\\") {
+                const ranges = parseEscape(false);
+                term = (random) => pickCharacter(random, ranges);
+            } else if ("*+?".includes(c)) {
+                return fail();
+            } else {
+                term = () => c;
+            }
+            const quantifier = parseQuantifier();
+            if (quantifier !== undefined) {
+                const [min, max] = quantifier;
+                const repeated = term;
+                term = (random, size) => {
+                    const count = randomInteger(random, min, Math.min(max, min + size));
+                    let rv = "";
+                    for (let i = 0; i < count; i++) rv += repeated(random, size);
+                    return rv;
+                };
+            }
+            terms[terms.length] = term;
+        }
+        return (random, size) => terms.map((term) => term(random, size)).join("");
+    };
+    /**
+     * @param {boolean} isTopLevel
+     * @returns {function(function(): number, uint): string}
+     */
+    const parseAlternation = (isTopLevel) => {
+        const alternatives = [parseSequence(isTopLevel)];
+        while (source[index] === "|") {
+            index++;
+            alternatives[alternatives.length] = parseSequence(isTopLevel);
+        }
+        if (alternatives.length === 1) return alternatives[0];
+        return (random, size) => (
+            alternatives[randomInteger(random, 0, alternatives.length - 1)](random, size)
+        );
+    };
+    // Classes are parsed differently in the 'v' mode.
+    if (regExp.flags.includes("v")) fail();
+    const generate = parseAlternation(true);
+    if (index !== source.length) fail();
+    return generate;
+};
+
+/**
+ * Creates a generator of values matching the given tc predicate or schema.
+ * - Custom types need a generator registered using 'registerGenerator()'.
+ * - Patterns can only use characters, character classes, groups,
+ * alternations and quantifiers.
+ * @param {Function} schema - A predicate or a schema.
+ * @returns {ValueGenerator<*>}
+ * @throws {TypeError} If no generator is known for the schema.
+ * @example
+ * const generator = fromSchema(tc.shape({ port: tc.isPositiveInteger }));
+ * sample(generator, { seed: 1 });
+ */
+export function fromSchema(schema) {
+    const description = tc.getDescription(schema);
+    const generator = generatorsByPredicate.get(schema);
+    if (generator !== undefined) return generator;
+    const node = tc.getSchemaNode(schema);
+    switch (node?.kind) {
+        case "arrayOf": return arrayOf(fromSchema(node.schema));
+        case "intersection": return filter(fromSchema(node.schemas[0]), (x) => schema(x));
+        case "length": {
+            const lengths = {
+                minLength: node.min ?? 0,
+                maxLength: node.max ?? Number.MAX_SAFE_INTEGER,
+            };
+            const arrayNode = tc.getSchemaNode(node.schema);
+            /** @type {ValueGenerator<*>} */
+            const sized = (arrayNode?.kind === "arrayOf" ? arrayOf(fromSchema(arrayNode.schema), lengths)
+                : arrayNode?.kind === "pattern" ? fromSchema(node.schema)
+                : string(lengths));
+            return filter(sized, (x) => schema(x));
+        }
+        case "literal": return constantFrom(node.value);
+        case "multipleOf": {
+            const limit = Math.floor(Number.MAX_SAFE_INTEGER / Math.max(node.divisor, 1));
+            const multiples = map(
+                integer({ min: -limit, max: limit }),
+                (n) => n * node.divisor,
+                (x) => x / node.divisor,
+            );
+            return filter(multiples, (x) => schema(x));
+        }
+        case "oneOf": return constantFrom(...node.values);
+        case "optional": return oneOf(constantFrom(undefined), fromSchema(node.schema));
+        case "record": return dictionary(
+            filter(string(), (key) => node.keySchema(key)),
+            fromSchema(node.schema),
+        );
+        case "pattern": {
+            const generator = {
+                generate: compilePattern(node.regExp),
+                shrink: (value) => string().shrink(value),
+            };
+            // The refined schema may be more specific than a string.
+            return filter(generator, (x) => schema(x));
+        }
+        case "range": {
+            const min = node.min ?? -Number.MAX_VALUE;
+            const max = node.max ?? Number.MAX_VALUE;
+            const integerMin = Math.max(Math.ceil(min), Number.MIN_SAFE_INTEGER);
+            const integerMax = Math.min(Math.floor(max), Number.MAX_SAFE_INTEGER);
+            const generators = [float({ min, max })];
+            if (integerMin <= integerMax) {
+                generators.unshift(integer({ min: integerMin, max: integerMax }));
+            }
+            return filter(oneOf(...generators), (x) => schema(x));
+        }
+        case "refine": return filter(fromSchema(node.schema), (x) => node.test(x) === true);
+        case "shape": {
+            const { properties } = node;
+            const keys = Object.keys(properties);
+            const optionalKeys = keys.filter((key) => (
+                tc.getSchemaNode(properties[key])?.kind === "optional"
+            ));
+            /** @type {Record<string, ValueGenerator<*>>} */
+            const generatorsByKey = {};
+            for (const key of keys) generatorsByKey[key] = fromSchema(properties[key]);
+            return { ...object(generatorsByKey, optionalKeys), predicate: schema };
+        }
+        case "tuple": return { ...tuple(...node.schemas.map(fromSchema)), predicate: schema };
+        case "union": return oneOf(...node.schemas.map((x) => ({ ...fromSchema(x), predicate: x })));
+        default:
+            throw new TypeError(`No generator is known for ${description}.`);
+    }
+}
+
+/**
+ * Creates a generator of values of a built-in or registered tc type.
+ * @param {string} typeName - E.g. "SafeInteger".
+ * @returns {ValueGenerator<*>}
+ */
+export function fromType(typeName) {
+    return fromSchema(tc.getPredicate(typeName));
+}
+
+/**
+ * Generates values, mostly for debugging generators.
+ * @template T
+ * @param {ValueGenerator<T>} generator
+ * @param {object} [options]
+ * @param {uint} [options.seed]
+ * @param {uint} [options.count]
+ * @param {uint} [options.size]
+ * @returns {T[]}
+ */
+export function sample(generator, { seed = Date.now(), count = 10, size = 10 } = {}) {
+    expectValueGenerator(generator);
+    tc.expectPositiveInteger(count);
+    tc.expectPositiveInteger(size);
+    const random = createRandom(seed);
+    const rv = [];
+    for (let i = 0; i < count; i++) rv[i] = generator.generate(random, size);
+    return rv;
+}
+
+// ====== Property runner ====== //
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+    switch (typeof value) {
+        case "bigint": return `${value}n`;
+        case "function": return `[Function ${value.name || "anonymous"}]`;
+        case "number": return Object.is(value, -0) ? "-0" : String(value);
+        case "string": return JSON.stringify(value);
+        case "symbol": return value.toString();
+        case "undefined": return "undefined";
+        default: break;
+    }
+    if (value === null) return "null";
+    if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+    if (tc.isPlainObject(value)) {
+        const entries = Object.keys(value).map((key) => `${JSON.stringify(key)}: ${formatValue(value[key])}`);
+        return `{${entries.join(", ")}}`;
+    }
+    return `[object ${tc.getTypeName(value)}]`;
+};
+
+/**
+ * Checks that a property holds for random arguments, and shrinks the first
+ * counterexample found.
+ * - A property fails when it returns 'false' or throws.
+ * - Arguments are generated by the given generators, or by 'fromSchema()'
+ * for the given predicates and schemas.
+ * @param {Function} property
+ * @param {Array<ValueGenerator<*> | Function>} generators
+ * @param {object} [options]
+ * @param {uint} [options.seed] - Allows to reproduce a failure.
+ * @param {uint} [options.runs]
+ * @param {uint} [options.maxSize]
+ * @param {uint} [options.maxShrinks] - The maximum number of shrink attempts.
+ * @throws {tc.AssertionError} If the property does not hold.
+ * @example
+ * forAll((a, b) => a + b === b + a, [tc.isSafeInteger, tc.isSafeInteger]);
+ */
+export function forAll(property, generators, {
+    seed = Date.now(),
+    runs = 100,
+    maxSize = 32,
+    maxShrinks = 1000,
+} = {}) {
+    tc.expectFunction(property);
+    tc.expectArray(generators);
+    tc.expectSafeInteger(seed);
+    tc.expectStrictlyPositiveInteger(runs);
+    tc.expectPositiveInteger(maxSize);
+    tc.expectPositiveInteger(maxShrinks);
+    const argGenerators = generators.map((x) => (isValueGenerator(x) ? x : fromSchema(x)));
+    const random = createRandom(seed);
+    let error;
+    const holds = (args) => {
+        try {
+            return property(...args) !== false;
+        } catch (e) {
+            error = e;
+            return false;
+        }
+    };
+    for (let run = 0; run < runs; run++) {
+        const size = runs === 1 ? maxSize : Math.round((run * maxSize) / (runs - 1));
+        let args = argGenerators.map((generator) => generator.generate(random, size));
+        error = undefined;
+        if (holds(args)) continue;
+        let attempts = 0;
+        let shrinks = 0;
+        let lastError = error;
+        shrinking: while (attempts < maxShrinks) {
+            for (let i = 0; i < args.length; i++) {
+                for (const x of argGenerators[i].shrink(args[i])) {
+                    if (attempts++ >= maxShrinks) break shrinking;
+                    const candidate = args.with(i, x);
+                    error = undefined;
+                    if (!holds(candidate)) {
+                        args = candidate;
+                        lastError = error;
+                        shrinks++;
+                        continue shrinking;
+                    }
+                }
+            }
+            break;
+        }
+        const reason = lastError === undefined ? "" : `\n${lastError}`;
+        tc.throwNewAssertionError(
+            `Property failed after ${run + 1} runs (seed: ${seed}) with arguments ${formatValue(args)} after ${shrinks} shrinks.${reason}`,
+            forAll,
+        );
+    }
+}
+
+// Generators of the built-in tc types.
+{
+    const primitive = oneOf(
+        boolean(),
+        integer(),
+        float(),
+        string(),
+        constantFrom(null, undefined),
+    );
+    const plainObject = dictionary(string({ maxLength: 8 }), primitive);
+    const bytes = arrayOf(integer({ min: 0, max: 255 }));
+    const set = map(arrayOf(primitive), (x) => new Set(x), (x) => [...x]);
+    const generatorsByTypeName = {
+        "Array": arrayOf(primitive),
+        "ArrayBuffer": map(bytes, (x) => new Uint8Array(x).buffer, (x) => [...new Uint8Array(x)]),
+        "ArrayLike": oneOf(arrayOf(primitive), string()),
+        "ArrayLikeObject": arrayOf(primitive),
+        "AsyncIterable": map(arrayOf(primitive), (values) => ({
+            async* [Symbol.asyncIterator]() {
+                yield* values;
+            },
+        })),
+        "BareObject": map(plainObject, (x) => Object.assign(Object.create(null), x), (x) => ({ ...x })),
+        "BigInt": bigInt(),
+        "Boolean": boolean(),
+        "Date": map(integer({ min: -8.64e15, max: 8.64e15 }), (x) => new Date(x), (x) => x.getTime()),
+        "Function": constantFrom(...[() => undefined, (x) => x, Math.max]),
+        "GeneratorFunction": constantFrom(function* empty() {}),
+        "Integer": integer(),
+        "Iterable": oneOf(arrayOf(primitive), string(), set),
+        "Map": map(
+            arrayOf(tuple(primitive, primitive)),
+            (x) => new Map(/** @type {[*, *][]} */ (x)),
+            (x) => [...x],
+        ),
+        "MutableArrayLikeObject": arrayOf(primitive),
+        "NegativeBigInt": bigInt({ max: 0n }),
+        // Negative integers include -0 but not 0.
+        "NegativeInteger": map(
+            integer({ max: 0 }),
+            (x) => (x === 0 ? -0 : x),
+            (x) => (Object.is(x, -0) ? 0 : x),
+        ),
+        "NegativeNumber": float({ max: 0 }),
+        "NonEmptyArray": arrayOf(primitive, { minLength: 1 }),
+        "NonEmptyArrayLike": oneOf(arrayOf(primitive, { minLength: 1 }), string({ minLength: 1 })),
+        "NonEmptyString": string({ minLength: 1 }),
+        "NonNullable": oneOf(boolean(), integer(), string(), arrayOf(primitive)),
+        "NonPrimitive": oneOf(arrayOf(primitive), plainObject),
+        "Number": oneOf(float(), constantFrom(NaN, Infinity, -Infinity, -0)),
+        "Object": oneOf(arrayOf(primitive), plainObject),
+        "PlainObject": plainObject,
+        "PositiveBigInt": bigInt({ min: 0n }),
+        "PositiveInteger": integer({ min: 0 }),
+        "PositiveNumber": float({ min: 0 }),
+        "Primitive": primitive,
+        "PropertyDescriptor": map(
+            tuple(primitive, boolean(), boolean(), boolean()),
+            ([value, writable, enumerable, configurable]) => ({
+                value,
+                writable,
+                enumerable,
+                configurable,
+            }),
+            (x) => [x.value, x.writable, x.enumerable, x.configurable],
+        ),
+        "PropertyKey": oneOf(string(), integer({ min: 0, max: (2 ** 32) - 1 })),
+        "RegularNumber": float(),
+        "RegExp": map(constantFrom("a", "^\\d+$", "[a-z]+", "(?:x|y)*"), (x) => new RegExp(x, "u"), (x) => x.source),
+        "SafeInteger": integer(),
+        "Set": set,
+        "SharedArrayBuffer": map(integer({ min: 0, max: 64 }), (x) => new SharedArrayBuffer(x), (x) => x.byteLength),
+        "StrictlyNegativeBigInt": bigInt({ max: -1n }),
+        "StrictlyNegativeInteger": integer({ max: -1 }),
+        "StrictlyNegativeNumber": float({ max: -Number.MIN_VALUE }),
+        "StrictlyPositiveBigInt": bigInt({ min: 1n }),
+        "StrictlyPositiveInteger": integer({ min: 1 }),
+        "StrictlyPositiveNumber": float({ min: Number.MIN_VALUE }),
+        "String": string(),
+        "Symbol": map(string({ maxLength: 8 }), (x) => Symbol(x), (x) => x.description ?? ""),
+        "TypedArray": map(bytes, (x) => new Uint8Array(x), (x) => [...x]),
+        "WeakMap": map(boolean(), () => new WeakMap()),
+        "WeakSet": map(boolean(), () => new WeakSet()),
+    };
+    for (const typeName of Object.keys(generatorsByTypeName)) {
+        const predicate = tc.getPredicate(typeName);
+        const generator = filter(generatorsByTypeName[typeName], (x) => predicate(x));
+        generatorsByPredicate.set(predicate, generator);
+    }
+}
@@ -7,6 +7,104 @@ import * as Iterators from "./Iterators.js";
 
 const call = Function.prototype.call.bind(Function.prototype.call);
 
+/**
+ * @private
+ * @param {any} arg
+ * @returns {boolean} Whether the given value is an iterable which should be
+ *   flattened, strings being iterables of strings.
+ */
+const isFlattenable = (arg) => typeof arg !== "string" && tc.isIterable(arg);
+
+/**
+ * Wraps a generator so that the given function is called when it is closed,
+ * even before it is started, since generators only run their 'finally'
+ * blocks once started.
+ * @private
+ * @template T
+ * @param {Generator<T>} generator
+ * @param {function(): void} onClose
+ * @returns {IterableIterator<T>}
+ */
+const withOnClose = (generator, onClose) => ({
+    next: () => generator.next(),
+    return(value) {
+        onClose();
+        return generator.return(value);
+    },
+    throw(error) {
+        onClose();
+        return generator.throw(error);
+    },
+    [Symbol.iterator]() {
+        return this;
+    },
+});
+
+/**
+ * Restores the heap property of a binary min-heap stored in an array, after
+ * a value was added at the given index.
+ * @private
+ * @template T
+ * @param {T[]} heap
+ * @param {function(T, T): number} compare
+ * @param {uint} index
+ */
+const siftUp = (heap, compare, index) => {
+    let i = index;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (compare(heap[i], heap[parent]) >= 0) return;
+        const value = heap[i];
+        heap[i] = heap[parent];
+        heap[parent] = value;
+        i = parent;
+    }
+};
+
+/**
+ * Restores the heap property of a binary min-heap stored in an array, after
+ * the value at the given index was replaced.
+ * @private
+ * @template T
+ * @param {T[]} heap
+ * @param {function(T, T): number} compare
+ * @param {uint} index
+ */
+const siftDown = (heap, compare, index) => {
+    let i = index;
+    while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && compare(heap[left], heap[smallest]) < 0) smallest = left;
+        if (right < heap.length && compare(heap[right], heap[smallest]) < 0) smallest = right;
+        if (smallest === i) return;
+        const value = heap[i];
+        heap[i] = heap[smallest];
+        heap[smallest] = value;
+        i = smallest;
+    }
+};
+
+/**
+ * @private
+ * @template T
+ * @generator
+ * @param {function(T, T): number} comparator
+ * @param {Iterable<T>} iterable - A sorted iterable.
+ * @yields {T} The values which are not equal to the previous one.
+ */
+function* dedupeSorted(comparator, iterable) {
+    let isFirst = true;
+    /** @type {T | undefined} */
+    let previous;
+    for (const x of iterable) {
+        if (isFirst || comparator(/** @type {T} */ (previous), x) !== 0) yield x;
+        isFirst = false;
+        previous = x;
+    }
+}
+
 /**
  * @template T
  * @generator
@@ -33,14 +131,11 @@ export function* fromFunction(fn, initialValue) {
  */
 export function* bigrams(iterable) {
     tc.expectIterable(iterable);
-    const iterator = Iterators.fromIterable(iterable);
-    const sentinel = /** @type {T} */ ({});
-    let a = Iterators.next(iterator, sentinel);
-    let b = Iterators.next(iterator, sentinel);
-    while (b !== sentinel) {
-        yield [a, b];
-        a = b;
-        b = Iterators.next(iterator, sentinel);
+    const iterator = Iterators.peekable(Iterators.fromIterable(iterable));
+    while (iterator.hasNext()) {
+        const a = /** @type {T} */ (iterator.next().value);
+        if (!iterator.hasNext()) return;
+        yield [a, iterator.peek()];
     }
 }
 
@@ -68,6 +163,72 @@ export function* chunk(iterable, n = 1) {
     }
 }
 
+/**
+ * Yields the values of the given iterable repeatedly.
+ * - The values are read once, then replayed from memory.
+ * @template T
+ * @generator
+ * @param {Iterable<T>} iterable
+ * @param {number} [times] - Defaults to 'Infinity'.
+ * @yields {T}
+ * @see Python 'itertools.cycle'
+ */
+export function* cycle(iterable, times = Infinity) {
+    tc.expectIterable(iterable);
+    if (times !== Infinity) tc.expectPositiveInteger(times);
+    if (times === 0) return;
+    const values = [];
+    for (const x of iterable) {
+        values[values.length] = x;
+        yield x;
+    }
+    if (values.length === 0) return;
+    for (let i = 1; i < times; i++) yield* values;
+}
+
+/**
+ * Yields the values of the first sorted iterable which are in none of the
+ * other ones.
+ * - Iterables are considered as sorted sets: equal values are yielded once.
+ * @template T
+ * @generator
+ * @param {function(T, T): number} comparator - Like the comparator of
+ *   'Array.prototype.sort()', by which every iterable is sorted.
+ * @param {Iterable<T>} iterable
+ * @param {...Iterable<T>} excludedIterables
+ * @yields {T}
+ */
+export function* differenceSorted(comparator, iterable, ...excludedIterables) {
+    tc.expectFunction(comparator);
+    tc.expectIterable(iterable);
+    tc.expectIterables(excludedIterables);
+    const excluded = Iterators.peekable(mergeSorted(comparator, ...excludedIterables));
+    try {
+        for (const x of dedupeSorted(comparator, iterable)) {
+            while (excluded.hasNext() && comparator(excluded.peek(), x) < 0) excluded.next();
+            if (excluded.hasNext() && comparator(excluded.peek(), x) === 0) continue;
+            yield x;
+        }
+    } finally {
+        excluded.return();
+    }
+}
+
+/**
+ * @template T
+ * @generator
+ * @param {Iterable<T>} iterable
+ * @param {int} [start]
+ * @yields {[int, T]} Pairs of an index and a value.
+ * @see Python 'enumerate'
+ */
+export function* enumerate(iterable, start = 0) {
+    tc.expectIterable(iterable);
+    tc.expectSafeInteger(start);
+    let i = start;
+    for (const x of iterable) yield /** @type {[int, T]} */ ([i++, x]);
+}
+
 /**
  * @template T
  * @generator
@@ -84,6 +245,45 @@ export function* filter(iterable, predicate, thisArg = undefined) {
     }
 }
 
+/**
+ * Like 'Array.prototype.flatMap()'.
+ * - Iterable results other than strings are flattened, other results are
+ * yielded as is.
+ * @template T, U
+ * @generator
+ * @param {Iterable<T>} iterable
+ * @param {function(T, uint): (U | Iterable<U>)} fn
+ * @yields {U}
+ */
+export function* flatMap(iterable, fn) {
+    tc.expectIterable(iterable);
+    tc.expectFunction(fn);
+    let i = 0;
+    for (const x of iterable) {
+        const rv = fn(x, i++);
+        if (isFlattenable(rv)) yield* /** @type {Iterable<U>} */ (rv);
+        else yield /** @type {U} */ (rv);
+    }
+}
+
+/**
+ * Like 'Array.prototype.flat()'.
+ * - Nested iterables other than strings are flattened.
+ * @generator
+ * @param {Iterable<*>} iterable
+ * @param {number} [depth] - A positive integer or 'Infinity'. Defaults to
+ *   1.
+ * @yields {*}
+ */
+export function* flatten(iterable, depth = 1) {
+    tc.expectIterable(iterable);
+    if (depth !== Infinity) tc.expectPositiveInteger(depth);
+    for (const x of iterable) {
+        if (depth > 0 && isFlattenable(x)) yield* flatten(x, depth - 1);
+        else yield x;
+    }
+}
+
 /**
  * @template T
  * @generator
@@ -126,6 +326,71 @@ export function* groupWith(iterable, mapfn) {
     yield currentChunk;
 }
 
+/**
+ * Yields the first value of every given iterable, then the second ones, and
+ * so on, skipping the exhausted ones.
+ * @template T
+ * @generator
+ * @param {...Iterable<T>} iterables
+ * @yields {T}
+ * @example
+ * [...Iterables.interleave([1, 2, 3], "ab")]; // -> [1, "a", 2, "b", 3]
+ */
+export function* interleave(...iterables) {
+    tc.expectIterables(iterables);
+    let iterators = iterables.map(Iterators.fromIterable);
+    while (iterators.length !== 0) {
+        const activeIterators = [];
+        for (const iterator of iterators) {
+            const { done, value } = iterator.next();
+            if (done) continue;
+            activeIterators[activeIterators.length] = iterator;
+            yield value;
+        }
+        iterators = activeIterators;
+    }
+}
+
+/**
+ * Yields the values which are in every given sorted iterable.
+ * - Iterables are considered as sorted sets: equal values are yielded once.
+ * - Iterables are read in step, so that infinite iterables can be
+ * intersected as long as they have common values.
+ * @template T
+ * @generator
+ * @param {function(T, T): number} comparator - Like the comparator of
+ *   'Array.prototype.sort()', by which every iterable is sorted.
+ * @param {...Iterable<T>} iterables
+ * @yields {T}
+ */
+export function* intersectSorted(comparator, ...iterables) {
+    tc.expectFunction(comparator);
+    tc.expectIterables(iterables);
+    if (iterables.length === 0) return;
+    const iterators = iterables.map((x) => Iterators.peekable(dedupeSorted(comparator, x)));
+    try {
+        while (iterators.every((x) => x.hasNext())) {
+            const heads = iterators.map((x) => x.peek());
+            const candidate = heads.reduce((a, b) => (comparator(a, b) < 0 ? b : a));
+            let isCommon = true;
+            for (const iterator of iterators) {
+                while (iterator.hasNext() && comparator(iterator.peek(), candidate) < 0) {
+                    iterator.next();
+                }
+                if (!iterator.hasNext()) return;
+                if (comparator(iterator.peek(), candidate) !== 0) isCommon = false;
+            }
+            if (isCommon) {
+                yield candidate;
+                for (const iterator of iterators) iterator.next();
+            }
+        }
+    } finally {
+        // The other iterables are not exhausted when one of them is.
+        for (const iterator of iterators) iterator.return();
+    }
+}
+
 /**
  * @template T, U
  * @generator
@@ -142,6 +407,62 @@ export function* map(iterable, fn, thisArg = undefined) {
     }
 }
 
+/**
+ * Merges sorted iterables into a single sorted sequence, using a binary
+ * heap, so that only one value per iterable is read ahead.
+ * - Equal values are all yielded, in the order of the iterables.
+ * @template T
+ * @generator
+ * @param {function(T, T): number} comparator - Like the comparator of
+ *   'Array.prototype.sort()', by which every iterable is sorted.
+ * @param {...Iterable<T>} iterables
+ * @yields {T}
+ * @example
+ * const byTime = (a, b) => a.timestamp - b.timestamp;
+ * for (const entry of Iterables.mergeSorted(byTime, ...logs)) console.log(entry.message);
+ */
+export function* mergeSorted(comparator, ...iterables) {
+    tc.expectFunction(comparator);
+    tc.expectIterables(iterables);
+    /**
+     * @typedef {{ value: T, index: uint, iterator: Iterator<T> }} HeapEntry
+     */
+    /** @type {HeapEntry[]} */
+    const heap = [];
+    /**
+     * @param {HeapEntry} a
+     * @param {HeapEntry} b
+     * @returns {number}
+     */
+    const compareEntries = (a, b) => comparator(a.value, b.value) || a.index - b.index;
+    try {
+        iterables.forEach((iterable, index) => {
+            const iterator = Iterators.fromIterable(iterable);
+            const { done, value } = iterator.next();
+            if (done) return;
+            heap[heap.length] = { value, index, iterator };
+            siftUp(heap, compareEntries, heap.length - 1);
+        });
+        while (heap.length !== 0) {
+            const entry = heap[0];
+            yield entry.value;
+            const { done, value } = entry.iterator.next();
+            if (done) {
+                const last = /** @type {HeapEntry} */ (heap.pop());
+                if (heap.length === 0) return;
+                heap[0] = last;
+            } else {
+                entry.value = value;
+            }
+            siftDown(heap, compareEntries, 0);
+        }
+    } finally {
+        // Exhausted iterables are removed from the heap, so the remaining
+        //   ones are still open.
+        for (const { iterator } of heap) iterator.return?.();
+    }
+}
+
 /**
  * No shorter ngram will be returned if the iterable is exhausted before
  * yielding 'n' elements.
@@ -168,6 +489,87 @@ export function* ngrams(iterable, n = 1) {
     }
 }
 
+/**
+ * Splits the values of the given iterable in two lazy sequences, reading
+ * the iterable once and calling the predicate once per value.
+ * @template T
+ * @param {Iterable<T>} iterable
+ * @param {function(T): boolean} predicate
+ * @returns {[IterableIterator<T>, IterableIterator<T>]} The values which
+ *   match the predicate, then the other ones.
+ */
+export function partition(iterable, predicate) {
+    tc.expectIterable(iterable);
+    tc.expectFunction(predicate);
+    /** @type {Iterable<[boolean, T]>} */
+    const pairs = map(iterable, (x) => [Boolean(predicate(x)), x]);
+    const [a, b] = tee(pairs, 2);
+    const matching = map(filter(a, ([isMatching]) => isMatching), ([, x]) => x);
+    const others = map(filter(b, ([isMatching]) => !isMatching), ([, x]) => x);
+    return [withOnClose(matching, () => a.return?.()), withOnClose(others, () => b.return?.())];
+}
+
+/**
+ * @generator
+ * @param {number} start - A finite number.
+ * @param {number} [end] - Excluded. Defaults to 'Infinity', or to
+ *   '-Infinity' if the step is negative.
+ * @param {number} [step] - A finite non-zero number. Defaults to 1.
+ * @yields {number}
+ * @example
+ * [...Iterables.range(0, 1, 0.25)]; // -> [0, 0.25, 0.5, 0.75]
+ */
+export function* range(start, end = undefined, step = 1) {
+    tc.expectRegularNumber(start);
+    tc.expectRegularNumber(step);
+    if (step === 0) throw new RangeError("Expected a non-zero step.");
+    const stop = end ?? (step > 0 ? Infinity : -Infinity);
+    // Every comparison with NaN is false, so the range would never end.
+    if (!tc.isNumber(stop) || Number.isNaN(stop)) {
+        tc.throwNewTypeError("a number other than NaN", range, { received: stop });
+    }
+    for (let i = 0; ; i++) {
+        const x = start + i * step;
+        if (step > 0 ? x >= stop : x <= stop) return;
+        yield x;
+    }
+}
+
+/**
+ * @template T
+ * @generator
+ * @param {T} value
+ * @param {number} [times] - Defaults to 'Infinity'.
+ * @yields {T}
+ */
+export function* repeat(value, times = Infinity) {
+    if (times !== Infinity) tc.expectPositiveInteger(times);
+    for (let i = 0; i < times; i++) yield value;
+}
+
+/**
+ * Yields the successive results of a reduction.
+ * - Unlike Haskell 'scanl', the initial value is not yielded.
+ * @template T, U
+ * @generator
+ * @param {Iterable<T>} iterable
+ * @param {function(U, T, uint): U} fn
+ * @param {U} initialValue
+ * @yields {U}
+ * @example
+ * [...Iterables.scan([1, 2, 3], (sum, x) => sum + x, 0)]; // -> [1, 3, 6]
+ */
+export function* scan(iterable, fn, initialValue) {
+    tc.expectIterable(iterable);
+    tc.expectFunction(fn);
+    let acc = initialValue;
+    let i = 0;
+    for (const x of iterable) {
+        acc = fn(acc, x, i++);
+        yield acc;
+    }
+}
+
 /**
  * @template T
  * @param {Iterable<T>} iterable
@@ -206,6 +608,131 @@ export function takeWhile(iterable, predicate) {
     return rv;
 }
 
+/**
+ * Creates independent lazy copies of the given iterable, reading it once.
+ * - Values are buffered until every copy has read them, or has been
+ * closed. The iterable is closed once every copy is closed.
+ * @template T
+ * @param {Iterable<T>} iterable
+ * @param {uint} [n] - The number of copies. Defaults to 2.
+ * @param {object} [options]
+ * @param {number} [options.maxBufferSize] - The maximum number of buffered
+ *   values. When a copy would exceed it by getting too far ahead of
+ *   another one, it throws a 'RangeError'. Defaults to 'Infinity'.
+ * @returns {IterableIterator<T>[]}
+ * @see Python 'itertools.tee'
+ */
+export function tee(iterable, n = 2, { maxBufferSize = Infinity } = {}) {
+    tc.expectIterable(iterable);
+    tc.expectPositiveInteger(n);
+    if (maxBufferSize !== Infinity) tc.expectStrictlyPositiveInteger(maxBufferSize);
+    /** @type {Iterator<T> | undefined} */
+    let iterator;
+    /**
+     * The values from position 'bufferShift', where the ones before
+     * 'bufferStart' were read by every copy and are cleared.
+     * @type {Array<T | undefined>}
+     */
+    let buffer = [];
+    let bufferShift = 0;
+    let bufferStart = 0;
+    let isDone = false;
+    const positions = new Array(n).fill(0);
+    const release = () => {
+        const minPosition = Math.min(...positions);
+        if (minPosition === Infinity) {
+            buffer = [];
+            if (!isDone) iterator?.return?.();
+            isDone = true;
+            return;
+        }
+        while (bufferStart < minPosition) {
+            buffer[bufferStart - bufferShift] = undefined;
+            bufferStart++;
+        }
+        // Compacting only when half of the buffer is cleared keeps reads in
+        //   constant amortized time.
+        const clearedCount = bufferStart - bufferShift;
+        if (clearedCount >= 16 && clearedCount * 2 >= buffer.length) {
+            buffer = buffer.slice(clearedCount);
+            bufferShift = bufferStart;
+        }
+    };
+    /**
+     * @param {uint} k
+     * @yields {T}
+     */
+    function* copy(k) {
+        try {
+            while (true) {
+                const offset = positions[k] - bufferShift;
+                if (offset < buffer.length) {
+                    const value = /** @type {T} */ (buffer[offset]);
+                    positions[k]++;
+                    release();
+                    yield value;
+                    continue;
+                }
+                if (isDone) return;
+                if (bufferShift + buffer.length - bufferStart >= maxBufferSize) {
+                    throw new RangeError(`The tee buffer exceeded ${maxBufferSize} values.`);
+                }
+                iterator ??= Iterators.fromIterable(iterable);
+                const { done, value } = iterator.next();
+                if (done) {
+                    isDone = true;
+                    return;
+                }
+                buffer[buffer.length] = value;
+            }
+        } finally {
+            positions[k] = Infinity;
+            release();
+        }
+    }
+    return Array.from({ length: n }, (_, k) => withOnClose(copy(k), () => {
+        positions[k] = Infinity;
+        release();
+    }));
+}
+
+/**
+ * Yields the values of the given iterable whose key was not seen before.
+ * - Keys are compared like 'Set' elements.
+ * @template T
+ * @generator
+ * @param {Iterable<T>} iterable
+ * @param {function(T): *} [getKey] - Defaults to the identity function.
+ * @yields {T}
+ */
+export function* uniqueBy(iterable, getKey = (x) => x) {
+    tc.expectIterable(iterable);
+    tc.expectFunction(getKey);
+    const seenKeys = new Set();
+    for (const x of iterable) {
+        const key = getKey(x);
+        if (seenKeys.has(key)) continue;
+        seenKeys.add(key);
+        yield x;
+    }
+}
+
+/**
+ * Yields the values which are in any given sorted iterable.
+ * - Iterables are considered as sorted sets: equal values are yielded once.
+ * @template T
+ * @generator
+ * @param {function(T, T): number} comparator - Like the comparator of
+ *   'Array.prototype.sort()', by which every iterable is sorted.
+ * @param {...Iterable<T>} iterables
+ * @yields {T}
+ */
+export function* unionSorted(comparator, ...iterables) {
+    tc.expectFunction(comparator);
+    tc.expectIterables(iterables);
+    yield* dedupeSorted(comparator, mergeSorted(comparator, ...iterables));
+}
+
 /*
  * In Haskell,
  * - zip functions are not variadic.
@@ -268,3 +795,425 @@ export function* zipWith(fn, ...iterables) {
         yield fn(...values);
     }
 }
+
+/**
+ * @private
+ * @template T
+ * @generator
+ * @param {Iterator<T>} iterator
+ * @yields {T}
+ */
+function* iterateRemaining(iterator) {
+    let isDone = true;
+    try {
+        while (true) {
+            const { done, value } = iterator.next();
+            if (done) return;
+            isDone = false;
+            yield value;
+            isDone = true;
+        }
+    } finally {
+        // The iterator is only closed when the consumer stops early.
+        if (!isDone) iterator.return?.();
+    }
+}
+
+/**
+ * @private
+ * @template T
+ * @param {function(): Iterator<T>} createIterator
+ * @returns {Seq<T>}
+ */
+const createSeq = (createIterator) => new Seq({ [Symbol.iterator]: createIterator });
+
+/**
+ * A lazy sequence, which wraps an iterable so that the functions of this
+ * module and of 'Iterators' can be chained as methods.
+ * - Nothing is computed until the sequence is iterated or one of the
+ * terminal methods is called: 'find()', 'first()', 'reduce()', 'toArray()',
+ * 'toMap()' or 'toSet()'.
+ * - A sequence can be iterated several times if the wrapped iterable can.
+ * @template T
+ * @example
+ * const pages = Iterables.from(lines).filter((line) => line !== "").chunk(50).take(10).toArray();
+ */
+export class Seq {
+    /** @type {Iterable<T>} */
+    #iterable;
+
+    /**
+     * @param {Iterable<T>} iterable
+     */
+    constructor(iterable) {
+        tc.expectIterable(iterable);
+        this.#iterable = iterable;
+    }
+
+    /**
+     * @returns {Iterator<T>}
+     */
+    [Symbol.iterator]() {
+        return Iterators.fromIterable(this.#iterable);
+    }
+
+    /**
+     * @returns {Seq<T[]>}
+     */
+    bigrams() {
+        return createSeq(() => bigrams(this));
+    }
+
+    /**
+     * @param {uint} [n]
+     * @returns {Seq<T[]>}
+     */
+    chunk(n = 1) {
+        tc.expectPositiveInteger(n);
+        return createSeq(() => chunk(this, n));
+    }
+
+    /**
+     * @param {number} [times]
+     * @returns {Seq<T>}
+     */
+    cycle(times = Infinity) {
+        if (times !== Infinity) tc.expectPositiveInteger(times);
+        return createSeq(() => cycle(this, times));
+    }
+
+    /**
+     * @param {function(T, T): number} comparator
+     * @param {...Iterable<T>} excludedIterables
+     * @returns {Seq<T>}
+     */
+    differenceSorted(comparator, ...excludedIterables) {
+        tc.expectFunction(comparator);
+        tc.expectIterables(excludedIterables);
+        return createSeq(() => differenceSorted(comparator, this, ...excludedIterables));
+    }
+
+    /**
+     * @param {uint} n
+     * @returns {Seq<T>}
+     */
+    drop(n) {
+        tc.expectPositiveInteger(n);
+        return createSeq(() => {
+            const iterator = Iterators.fromIterable(this);
+            Iterators.drop(iterator, n);
+            return iterateRemaining(iterator);
+        });
+    }
+
+    /**
+     * @param {function(T): boolean} predicate
+     * @returns {Seq<T>}
+     */
+    dropWhile(predicate) {
+        tc.expectFunction(predicate);
+        const source = this;
+        return createSeq(function* dropWhileGenerator() {
+            let isDropping = true;
+            for (const x of source) {
+                if (isDropping && predicate(x)) continue;
+                isDropping = false;
+                yield x;
+            }
+        });
+    }
+
+    /**
+     * @param {int} [start]
+     * @returns {Seq<[int, T]>}
+     */
+    enumerate(start = 0) {
+        tc.expectSafeInteger(start);
+        return createSeq(() => enumerate(this, start));
+    }
+
+    /**
+     * @param {function(T, uint?): boolean} predicate
+     * @param {*=} thisArg
+     * @returns {Seq<T>}
+     */
+    filter(predicate, thisArg = undefined) {
+        tc.expectFunction(predicate);
+        return createSeq(() => filter(this, predicate, thisArg));
+    }
+
+    /**
+     * @template U
+     * @param {function(T, uint): (U | Iterable<U>)} fn
+     * @returns {Seq<U>}
+     */
+    flatMap(fn) {
+        tc.expectFunction(fn);
+        return createSeq(() => flatMap(this, fn));
+    }
+
+    /**
+     * @param {number} [depth]
+     * @returns {Seq<*>}
+     */
+    flatten(depth = 1) {
+        if (depth !== Infinity) tc.expectPositiveInteger(depth);
+        return createSeq(() => flatten(this, depth));
+    }
+
+    /**
+     * @returns {Seq<T[]>}
+     */
+    group() {
+        return createSeq(() => group(this));
+    }
+
+    /**
+     * @param {function(T, uint): *} mapfn
+     * @returns {Seq<T[]>}
+     */
+    groupWith(mapfn) {
+        tc.expectFunction(mapfn);
+        return createSeq(() => groupWith(this, mapfn));
+    }
+
+    /**
+     * @param {...Iterable<T>} iterables
+     * @returns {Seq<T>}
+     */
+    interleave(...iterables) {
+        tc.expectIterables(iterables);
+        return createSeq(() => interleave(this, ...iterables));
+    }
+
+    /**
+     * @param {function(T, T): number} comparator
+     * @param {...Iterable<T>} iterables
+     * @returns {Seq<T>}
+     */
+    intersectSorted(comparator, ...iterables) {
+        tc.expectFunction(comparator);
+        tc.expectIterables(iterables);
+        return createSeq(() => intersectSorted(comparator, this, ...iterables));
+    }
+
+    /**
+     * @template U
+     * @param {function(T): U} fn
+     * @param {*=} thisArg
+     * @returns {Seq<U>}
+     */
+    map(fn, thisArg = undefined) {
+        tc.expectFunction(fn);
+        return createSeq(() => map(this, fn, thisArg));
+    }
+
+    /**
+     * @param {function(T, T): number} comparator
+     * @param {...Iterable<T>} iterables
+     * @returns {Seq<T>}
+     */
+    mergeSorted(comparator, ...iterables) {
+        tc.expectFunction(comparator);
+        tc.expectIterables(iterables);
+        return createSeq(() => mergeSorted(comparator, this, ...iterables));
+    }
+
+    /**
+     * @param {uint} [n]
+     * @returns {Seq<T[]>}
+     */
+    ngrams(n = 1) {
+        tc.expectPositiveInteger(n);
+        return createSeq(() => ngrams(this, n));
+    }
+
+    /**
+     * Like 'Iterables.partition()', the returned sequences share a single
+     * iteration, so they can only be iterated once.
+     * @param {function(T): boolean} predicate
+     * @returns {[Seq<T>, Seq<T>]}
+     */
+    partition(predicate) {
+        const [a, b] = partition(this, predicate);
+        return [new Seq(a), new Seq(b)];
+    }
+
+    /**
+     * @template U
+     * @param {function(U, T, uint): U} fn
+     * @param {U} initialValue
+     * @returns {Seq<U>}
+     */
+    scan(fn, initialValue) {
+        tc.expectFunction(fn);
+        return createSeq(() => scan(this, fn, initialValue));
+    }
+
+    /**
+     * Unlike 'Iterables.take()', the sequence is lazy and stops early if
+     * the wrapped iterable has less than 'n' values.
+     * @param {uint} n
+     * @returns {Seq<T>}
+     */
+    take(n) {
+        tc.expectPositiveInteger(n);
+        const source = this;
+        return createSeq(function* takeGenerator() {
+            if (n === 0) return;
+            let i = 0;
+            for (const x of source) {
+                yield x;
+                if (++i === n) return;
+            }
+        });
+    }
+
+    /**
+     * @param {function(T): boolean} predicate
+     * @returns {Seq<T>}
+     */
+    takeWhile(predicate) {
+        tc.expectFunction(predicate);
+        const source = this;
+        return createSeq(function* takeWhileGenerator() {
+            for (const x of source) {
+                if (!predicate(x)) return;
+                yield x;
+            }
+        });
+    }
+
+    /**
+     * Like 'Iterables.tee()', the returned sequences share a single
+     * iteration, so they can only be iterated once.
+     * @param {uint} [n]
+     * @param {{ maxBufferSize?: number }} [options]
+     * @returns {Seq<T>[]}
+     */
+    tee(n = 2, options = {}) {
+        return tee(this, n, options).map((x) => new Seq(x));
+    }
+
+    /**
+     * @param {function(T): *} [getKey]
+     * @returns {Seq<T>}
+     */
+    uniqueBy(getKey = (x) => x) {
+        tc.expectFunction(getKey);
+        return createSeq(() => uniqueBy(this, getKey));
+    }
+
+    /**
+     * @param {function(T, T): number} comparator
+     * @param {...Iterable<T>} iterables
+     * @returns {Seq<T>}
+     */
+    unionSorted(comparator, ...iterables) {
+        tc.expectFunction(comparator);
+        tc.expectIterables(iterables);
+        return createSeq(() => unionSorted(comparator, this, ...iterables));
+    }
+
+    /**
+     * @param {...Iterable<*>} iterables
+     * @returns {Seq<any[]>}
+     */
+    zip(...iterables) {
+        tc.expectIterables(iterables);
+        return createSeq(() => zip(this, ...iterables));
+    }
+
+    /**
+     * @template U
+     * @param {function(...*): U} fn
+     * @param {...Iterable<*>} iterables
+     * @returns {Seq<U>}
+     */
+    zipWith(fn, ...iterables) {
+        tc.expectFunction(fn);
+        tc.expectIterables(iterables);
+        return createSeq(() => zipWith(fn, this, ...iterables));
+    }
+
+    /**
+     * @param {function(T): boolean} predicate
+     * @param {T} [defaultValue]
+     * @returns {T} Throws if no value matches and no default value is given.
+     */
+    find(predicate, defaultValue = undefined) {
+        return Iterators.find(Iterators.fromIterable(this), predicate, defaultValue);
+    }
+
+    /**
+     * @param {T} [defaultValue]
+     * @returns {T} Throws if the sequence is empty and no default value is
+     *   given.
+     */
+    first(defaultValue = undefined) {
+        const iterator = Iterators.fromIterable(this);
+        const rv = Iterators.next(iterator, defaultValue);
+        iterator.return?.();
+        return rv;
+    }
+
+    /**
+     * Like 'Array.prototype.reduce()'.
+     * @template U
+     * @param {function(U, T, uint): U} fn
+     * @param {...U} initialValue - If omitted, the first value of the
+     *   sequence is used.
+     * @returns {U}
+     */
+    reduce(fn, ...initialValue) {
+        tc.expectFunction(fn);
+        const iterator = Iterators.fromIterable(this);
+        let i = 0;
+        let acc;
+        if (initialValue.length === 0) {
+            const { done, value } = iterator.next();
+            if (done) throw new TypeError("Reduce of empty sequence with no initial value.");
+            acc = /** @type {any} */ (value);
+            i++;
+        } else {
+            acc = initialValue[0];
+        }
+        for (const x of iterateRemaining(iterator)) {
+            acc = fn(acc, x, i++);
+        }
+        return acc;
+    }
+
+    /**
+     * @returns {T[]}
+     */
+    toArray() {
+        return [...this];
+    }
+
+    /**
+     * @returns {Map<*, *>} The values of the sequence must be entries.
+     */
+    toMap() {
+        return new Map(/** @type {Iterable<any>} */ (this));
+    }
+
+    /**
+     * @returns {Set<T>}
+     */
+    toSet() {
+        return new Set(this);
+    }
+}
+
+/**
+ * @template T
+ * @param {Iterable<T>} iterable
+ * @returns {Seq<T>}
+ * @example
+ * const naturals = Iterables.fromFunction((x) => x + 1, 0);
+ * Iterables.from(naturals).filter((x) => x % 2 === 0).take(3).toArray(); // -> [0, 2, 4]
+ */
+export function from(iterable) {
+    return new Seq(iterable);
+}
@@ -70,3 +70,121 @@ export function next(iterator, defaultValue) {
     }
     return value;
 }
+
+/**
+ * An iterator which can look ahead of the wrapped iterator and put values
+ * back, without losing any value.
+ * @template T
+ * @example
+ * const tokens = Iterators.peekable(Iterators.fromIterable(["let", "x", "=", "1"]));
+ * if (tokens.peek() === "let") tokens.next();
+ * assert(tokens.peek(1) === "=");
+ */
+export class PeekableIterator {
+    /** @type {Iterator<T>} */
+    #iterator;
+    /**
+     * The values read ahead or pushed back, in the order they will be
+     * returned.
+     * @type {T[]}
+     */
+    #buffer = [];
+    /** @type {boolean} */
+    #isDone = false;
+
+    /**
+     * @param {Iterator<T>} iterator
+     */
+    constructor(iterator) {
+        if (!tc.isObject(iterator) || typeof iterator.next !== "function") {
+            tc.throwNewTypeError("an iterator", PeekableIterator, { received: iterator });
+        }
+        this.#iterator = iterator;
+    }
+
+    /**
+     * @returns {this}
+     */
+    [Symbol.iterator]() {
+        return this;
+    }
+
+    /**
+     * Reads values ahead until the buffer contains the given number of
+     * values or the wrapped iterator is exhausted.
+     * @param {uint} count
+     * @returns {boolean} Whether the buffer contains enough values.
+     */
+    #fill(count) {
+        while (this.#buffer.length < count && !this.#isDone) {
+            const { done, value } = this.#iterator.next();
+            if (done) this.#isDone = true;
+            else this.#buffer.push(value);
+        }
+        return this.#buffer.length >= count;
+    }
+
+    /**
+     * @returns {boolean} Whether a call to 'next()' would return a value.
+     */
+    hasNext() {
+        return this.#fill(1);
+    }
+
+    /**
+     * @returns {IteratorResult<T>}
+     */
+    next() {
+        if (!this.#fill(1)) return { done: true, value: undefined };
+        return { done: false, value: /** @type {T} */ (this.#buffer.shift()) };
+    }
+
+    /**
+     * Returns an upcoming value without consuming it.
+     * @param {uint} [n] - The number of values to skip, so that 'peek(0)'
+     *   returns the next value.
+     * @param {T} [defaultValue]
+     * @returns {T} Throws if there is no such value and no default value is
+     *   given, like 'Iterators.next()'.
+     */
+    peek(n = 0, defaultValue = undefined) {
+        tc.expectPositiveInteger(n);
+        if (!this.#fill(n + 1)) {
+            if (typeof defaultValue !== "undefined") return defaultValue;
+            throw new Error("No next value.");
+        }
+        return this.#buffer[n];
+    }
+
+    /**
+     * Puts a value back, so that it is returned by the next call to
+     * 'next()'.
+     * - The value does not need to come from the wrapped iterator.
+     * @param {T} value
+     */
+    pushBack(value) {
+        this.#buffer.unshift(value);
+    }
+
+    /**
+     * Closes the wrapped iterator, unless it is done, and discards the
+     * buffered values.
+     * @param {*} [value]
+     * @returns {IteratorResult<T>}
+     */
+    return(value = undefined) {
+        this.#buffer = [];
+        if (!this.#isDone) this.#iterator.return?.();
+        this.#isDone = true;
+        return { done: true, value };
+    }
+}
+
+/**
+ * @template T
+ * @param {Iterator<T>} iterator
+ * @returns {PeekableIterator<T>}
+ */
+export function peekable(iterator) {
+    return new PeekableIterator(iterator);
+}
@@ -0,0 +1,645 @@
+/**
+ * @file JsonSchemas.js - Conversions between JSON Schema documents and tc
+ * schemas.
+ *
+ * A subset of JSON Schema draft 2020-12 is supported:
+ * - "type", "enum" and "const";
+ * - "properties", "required" and "additionalProperties";
+ * - "items", "minItems" and "maxItems";
+ * - "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum" and
+ *  "multipleOf";
+ * - "minLength", "maxLength" and "pattern";
+ * - "anyOf", "oneOf" and "allOf";
+ * - "$ref", for references within the same document.
+ *
+ * Other keywords are ignored. Nothing is ever fetched, so that compiled
+ *  schemas can be used offline.
+ */
+import * as tc from "./tc.js";
+import * as JsonObjects from "./JsonObjects.js";
+
+const DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const anyValue = tc.refine(tc.union(tc.isPrimitive, tc.isNonPrimitive), () => true, "any value");
+const noValue = tc.refine(anyValue, () => false, "no value");
+// Missing properties are checked as 'undefined', which no JSON value is.
+const presentValue = tc.refine(anyValue, (x) => x !== undefined, "any value");
+
+const isArrayOfStrings = tc.arrayOf(tc.isString);
+// An empty list of types is not valid, since it would match no value.
+const isTypeKeyword = tc.union(
+    tc.isString,
+    tc.refine(isArrayOfStrings, (x) => x.length !== 0, "a non-empty array of strings"),
+);
+const numericKeywords = ["exclusiveMaximum", "exclusiveMinimum", "maximum", "minimum", "multipleOf"];
+
+/**
+ * Keywords which only apply to instances of a given JSON type.
+ * @type {Record<string, string[]>}
+ */
+const keywordsByType = {
+    "array": ["items", "maxItems", "minItems"],
+    "boolean": [],
+    "integer": numericKeywords,
+    "null": [],
+    "number": numericKeywords,
+    "object": ["additionalProperties", "properties", "required"],
+    "string": ["maxLength", "minLength", "pattern"],
+};
+
+/**
+ * JSON Schemas of the tc predicates which have an equivalent.
+ * - JSON numbers do not distinguish -0 from 0, so that the predicates which
+ * only reject one of them are exported with inclusive bounds.
+ * @type {Map<Function, Record<string, any>>}
+ */
+const jsonSchemasByPredicate = new Map([
+    [tc.isArray, { type: "array" }],
+    [tc.isBoolean, { type: "boolean" }],
+    [tc.isInteger, { type: "integer" }],
+    [tc.isNegativeInteger, { type: "integer", maximum: 0 }],
+    [tc.isNegativeNumber, { type: "number", maximum: 0 }],
+    [tc.isNonEmptyArray, { type: "array", minItems: 1 }],
+    [tc.isNonEmptyString, { type: "string", minLength: 1 }],
+    [tc.isNumber, { type: "number" }],
+    [tc.isPlainObject, { type: "object" }],
+    [tc.isPositiveInteger, { type: "integer", minimum: 0 }],
+    [tc.isPositiveNumber, { type: "number", minimum: 0 }],
+    [tc.isRegularNumber, { type: "number" }],
+    [tc.isSafeInteger, { type: "integer", minimum: -(2 ** 53) + 1, maximum: (2 ** 53) - 1 }],
+    [tc.isStrictlyNegativeInteger, { type: "integer", exclusiveMaximum: 0 }],
+    [tc.isStrictlyNegativeNumber, { type: "number", exclusiveMaximum: 0 }],
+    [tc.isStrictlyPositiveInteger, { type: "integer", minimum: 1 }],
+    [tc.isStrictlyPositiveNumber, { type: "number", exclusiveMinimum: 0 }],
+    [tc.isString, { type: "string" }],
+]);
+
+/**
+ * The tc predicates which accept values that JSON cannot represent, such as
+ * 'undefined', so that exporting them would change their meaning.
+ * @type {Set<Function>}
+ */
+const unrepresentablePredicates = new Set([tc.isNil, tc.isNullOrUndefined]);
+
+/**
+ * Documents compiled by 'compile()', by compiled schema.
+ * @type {WeakMap<Function, boolean | Record<string, any>>}
+ */
+const documentsByCompiledSchema = new WeakMap();
+
+/**
+ * @typedef {object} CompilationContext
+ * @property {Record<string, any>} root - The whole document.
+ * @property {Map<object, Function>} compiledSchemasByNode
+ * @property {Map<object, string>} pendingPointersByNode - Nodes being compiled,
+ *   which can only be referenced lazily.
+ */
+
+/**
+ * @private
+ * @param {Record<string, any>} node
+ * @param {string} key
+ * @param {Function} predicate
+ * @param {string} pointer
+ */
+const expectKeyword = (node, key, predicate, pointer) => {
+    if (!predicate(node[key])) {
+        throw new TypeError(`Invalid JSON Schema: '${key}' at '#${pointer}' is not ${tc.getDescription(predicate)}.`);
+    }
+};
+
+/**
+ * @private
+ * @param {string} key
+ * @returns {string}
+ */
+const escapePointerToken = (key) => key.replaceAll("~", "~0").replaceAll("/", "~1");
+
+/**
+ * @private
+ * @param {Record<string, any>} root
+ * @param {string} ref
+ * @returns {*}
+ */
+const resolveRef = (root, ref) => {
+    if (!ref.startsWith("#")) {
+        throw new Error(`Unsupported reference ${JSON.stringify(ref)}: only references within the document are supported.`);
+    }
+    const pointer = decodeURIComponent(ref.slice(1));
+    if (pointer === "") return root;
+    if (!pointer.startsWith("/")) {
+        throw new Error(`Unsupported reference ${JSON.stringify(ref)}: expected a JSON pointer.`);
+    }
+    let node = root;
+    for (const token of pointer.slice(1).split("/")) {
+        const key = token.replaceAll("~1", "/").replaceAll("~0", "~");
+        if (tc.isPrimitive(node) || !Object.hasOwn(node, key)) {
+            throw new Error(`Unresolvable reference ${JSON.stringify(ref)}.`);
+        }
+        node = node[key];
+    }
+    return node;
+};
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {Function}
+ */
+const compileConstant = (value) => {
+    if (tc.isPrimitive(value)) return tc.literal(value);
+    return tc.refine(
+        anyValue,
+        (x) => tc.isNonPrimitive(x) && JsonObjects.equals(x, value),
+        `a value equal to ${JSON.stringify(value)}`,
+    );
+};
+
+/**
+ * @private
+ * @param {Function} schema
+ * @param {Array<[string, function(*): boolean]>} constraints - Readable
+ *   constraints and their tests.
+ * @returns {Function}
+ */
+const constrain = (schema, constraints) => {
+    if (constraints.length === 0) return schema;
+    const tests = constraints.map(([, test]) => test);
+    const phrases = constraints.map(([phrase]) => phrase);
+    return tc.refine(
+        schema,
+        (x) => tests.every((test) => test(x)),
+        `${tc.getDescription(schema)} ${phrases.join(" and ")}`,
+    );
+};
+
+/**
+ * @private
+ * @param {string} type
+ * @param {Record<string, any>} node
+ * @param {string} pointer
+ * @param {CompilationContext} context
+ * @returns {Function}
+ */
+const compileType = (type, node, pointer, context) => {
+    switch (type) {
+        case "null": return tc.literal(null);
+        case "boolean": return tc.isBoolean;
+        case "integer":
+        case "number": {
+            for (const key of numericKeywords) {
+                if (key in node) expectKeyword(node, key, tc.isRegularNumber, pointer);
+            }
+            const { minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf } = node;
+            /** @type {Function} */
+            let schema = type === "integer" ? tc.isInteger : tc.isRegularNumber;
+            if (minimum !== undefined || maximum !== undefined) {
+                schema = tc.range(schema, { min: minimum, max: maximum });
+            }
+            if (exclusiveMinimum !== undefined || exclusiveMaximum !== undefined) {
+                schema = tc.range(schema, {
+                    min: exclusiveMinimum,
+                    max: exclusiveMaximum,
+                    exclusiveMin: true,
+                    exclusiveMax: true,
+                });
+            }
+            if (multipleOf !== undefined) {
+                expectKeyword(node, "multipleOf", tc.isStrictlyPositiveNumber, pointer);
+                schema = tc.multipleOf(schema, multipleOf);
+            }
+            return schema;
+        }
+        case "string": {
+            const { minLength, maxLength, pattern } = node;
+            if (minLength !== undefined) expectKeyword(node, "minLength", tc.isPositiveInteger, pointer);
+            if (maxLength !== undefined) expectKeyword(node, "maxLength", tc.isPositiveInteger, pointer);
+            /** @type {Function} */
+            let schema = tc.isString;
+            if (pattern !== undefined) {
+                expectKeyword(node, "pattern", tc.isString, pointer);
+                schema = tc.pattern(schema, new RegExp(pattern, "u"));
+            }
+            if (minLength !== undefined || maxLength !== undefined) {
+                schema = tc.length(schema, { min: minLength, max: maxLength });
+            }
+            return schema;
+        }
+        case "array": {
+            const { items, minItems, maxItems } = node;
+            if (minItems !== undefined) expectKeyword(node, "minItems", tc.isPositiveInteger, pointer);
+            if (maxItems !== undefined) expectKeyword(node, "maxItems", tc.isPositiveInteger, pointer);
+            const schema = (items === undefined
+                ? tc.isArray
+                : tc.arrayOf(compileNode(items, `${pointer}/items`, context)));
+            if (minItems === undefined && maxItems === undefined) return schema;
+            return tc.length(schema, { min: minItems, max: maxItems });
+        }
+        case "object": {
+            const { properties = {}, required = [], additionalProperties = true } = node;
+            if ("properties" in node) expectKeyword(node, "properties", tc.isPlainObject, pointer);
+            if ("required" in node) expectKeyword(node, "required", isArrayOfStrings, pointer);
+            // Inherited keys, like "toString", are not declared properties.
+            /** @type {Record<string, Function>} */
+            const propertySchemas = Object.create(null);
+            for (const key of Object.keys(properties)) {
+                const propertyPointer = `${pointer}/properties/${escapePointerToken(key)}`;
+                const schema = compileNode(properties[key], propertyPointer, context);
+                if (!required.includes(key)) {
+                    propertySchemas[key] = tc.optional(schema);
+                } else {
+                    propertySchemas[key] = schema === anyValue ? presentValue : schema;
+                }
+            }
+            for (const key of required) {
+                if (!(key in propertySchemas)) propertySchemas[key] = presentValue;
+            }
+            if (tc.isBoolean(additionalProperties)) {
+                return tc.shape(propertySchemas, { exact: !additionalProperties });
+            }
+            const additionalSchema = compileNode(additionalProperties, `${pointer}/additionalProperties`, context);
+            const isAdditionalProperty = (key) => !(key in propertySchemas);
+            return constrain(tc.shape(propertySchemas), [
+                [
+                    `whose other property values are ${tc.getDescription(additionalSchema)}`,
+                    (x) => Object.keys(x).filter(isAdditionalProperty).every((key) => (
+                        additionalSchema(x[key])
+                    )),
+                ],
+            ]);
+        }
+        default:
+            throw new TypeError(`Invalid JSON Schema: unknown type ${JSON.stringify(type)} at '#${pointer}'.`);
+    }
+};
+
+/**
+ * @private
+ * @param {*} node
+ * @param {string} pointer
+ * @param {CompilationContext} context
+ * @returns {Function}
+ */
+const compileNode = (node, pointer, context) => {
+    if (node === true) return anyValue;
+    if (node === false) return noValue;
+    if (!tc.isPlainObject(node)) {
+        throw new TypeError(`Invalid JSON Schema: expected a boolean or a plain object at '#${pointer}'.`);
+    }
+    const compiledSchema = context.compiledSchemasByNode.get(node);
+    if (compiledSchema !== undefined) return compiledSchema;
+    const pendingPointer = context.pendingPointersByNode.get(node);
+    if (pendingPointer !== undefined) {
+        // Recursive schemas can only be checked once fully compiled.
+        return tc.refine(
+            anyValue,
+            (x) => /** @type {Function} */ (context.compiledSchemasByNode.get(node))(x),
+            `a value matching the schema at '#${pendingPointer}'`,
+        );
+    }
+    context.pendingPointersByNode.set(node, pointer);
+    const parts = [];
+    if ("$ref" in node) {
+        expectKeyword(node, "$ref", tc.isString, pointer);
+        parts.push(compileNode(resolveRef(context.root, node.$ref), node.$ref.slice(1), context));
+    }
+    if ("type" in node) {
+        expectKeyword(node, "type", isTypeKeyword, pointer);
+        const types = tc.isArray(node.type) ? node.type : [node.type];
+        const schemas = types.map((type) => compileType(type, node, pointer, context));
+        parts.push(schemas.length === 1 ? schemas[0] : tc.union(...schemas));
+    } else {
+        const types = Object.keys(keywordsByType).filter((type) => (
+            keywordsByType[type].some((key) => key in node)
+        ));
+        if (types.length !== 0) {
+            // Type-specific keywords do not restrict the type itself.
+            const otherTypes = ["null", "boolean", "number", "string", "array", "object"];
+            const schemas = otherTypes.map((type) => compileType(type, node, pointer, context));
+            parts.push(tc.union(...schemas));
+        }
+    }
+    if ("enum" in node) {
+        expectKeyword(node, "enum", tc.isNonEmptyArray, pointer);
+        parts.push(node.enum.every(tc.isPrimitive)
+            ? tc.oneOf(...node.enum)
+            : tc.union(...node.enum.map(compileConstant)));
+    }
+    if ("const" in node) {
+        parts.push(compileConstant(node.const));
+    }
+    for (const key of ["allOf", "anyOf", "oneOf"]) {
+        if (!(key in node)) continue;
+        expectKeyword(node, key, tc.isNonEmptyArray, pointer);
+        const schemas = node[key].map((x, i) => compileNode(x, `${pointer}/${key}/${i}`, context));
+        if (key === "allOf") {
+            parts.push(tc.intersection(...schemas));
+        } else if (key === "anyOf") {
+            parts.push(tc.union(...schemas));
+        } else {
+            parts.push(tc.refine(
+                tc.union(...schemas),
+                (x) => schemas.filter((schema) => schema(x)).length === 1,
+                `exactly one of ${schemas.map(tc.getDescription).join(", ")}`,
+            ));
+        }
+    }
+    context.pendingPointersByNode.delete(node);
+    const schema = (parts.length === 0 ? anyValue
+        : parts.length === 1 ? parts[0]
+        : tc.intersection(...parts));
+    context.compiledSchemasByNode.set(node, schema);
+    return schema;
+};
+
+/**
+ * Compiles a JSON Schema document into a tc schema.
+ * - The compiled schema can be used with 'tc.makeExpectation()',
+ * 'tc.validate()' or 'tc.makeValidation()'.
+ * - Only references within the document are supported, so that no
+ * network access is ever needed.
+ * @param {boolean | Record<string, any>} document
+ * @returns {function(any): boolean}
+ * @throws {TypeError} If the document is not a valid JSON Schema.
+ * @example
+ * const isPort = compile({ type: "integer", minimum: 1, maximum: 65535 });
+ * tc.getDescription(isPort);
+ * // -> "an integer greater than or equal to 1 and lower than or equal to 65535"
+ */
+export function compile(document) {
+    /** @type {CompilationContext} */
+    const context = {
+        root: /** @type {Record<string, any>} */ (document),
+        compiledSchemasByNode: new Map(),
+        pendingPointersByNode: new Map(),
+    };
+    const schema = compileNode(document, "", context);
+    // Do not remember documents compiled into shared predicates.
+    if (tc.isSchema(schema) && schema !== anyValue && schema !== noValue) {
+        documentsByCompiledSchema.set(schema, document);
+    }
+    return /** @type {function(any): boolean} */ (schema);
+}
+
+/**
+ * @typedef {object} ExportContext
+ * @property {Record<string, any>} definitions - The "$defs" of the exported
+ *   document.
+ * @property {Map<Function, string>} namesByCompiledSchema - The names of the
+ *   compiled documents moved to the "$defs".
+ */
+
+/**
+ * Keywords whose value is a subschema or an array of subschemas.
+ */
+const subschemaKeywords = [
+    "additionalItems", "additionalProperties", "allOf", "anyOf", "contains", "else", "if",
+    "items", "not", "oneOf", "prefixItems", "propertyNames", "then",
+    "unevaluatedItems", "unevaluatedProperties",
+];
+/**
+ * Keywords whose value maps names to subschemas.
+ */
+const subschemaMapKeywords = ["$defs", "definitions", "dependentSchemas", "patternProperties", "properties"];
+
+/**
+ * Prefixes the references within a document with the location where it is
+ * moved, in place.
+ * @private
+ * @param {*} node
+ * @param {string} base - The location of the document, like "#/$defs/a".
+ */
+const rebaseReferences = (node, base) => {
+    if (tc.isArray(node)) {
+        for (const x of node) rebaseReferences(x, base);
+        return;
+    }
+    if (!tc.isPlainObject(node)) return;
+    if (tc.isString(node.$ref) && node.$ref.startsWith("#")) {
+        node.$ref = `${base}${node.$ref.slice(1)}`;
+    }
+    for (const key of subschemaKeywords) rebaseReferences(node[key], base);
+    for (const key of subschemaMapKeywords) {
+        if (tc.isPlainObject(node[key])) rebaseReferences(Object.values(node[key]), base);
+    }
+};
+
+/**
+ * Exports a compiled document nested in another schema.
+ * - Its references are relative to its own root, so that a document with
+ * references is moved to the "$defs" of the exported document.
+ * @private
+ * @param {Function} schema
+ * @param {boolean | Record<string, any>} document
+ * @param {ExportContext} context
+ * @returns {boolean | Record<string, any>}
+ */
+const exportDocument = (schema, document, context) => {
+    const rv = JSON.parse(JSON.stringify(document));
+    if (typeof rv === "boolean" || !JSON.stringify(rv).includes("\"$ref\"")) return rv;
+    let name = context.namesByCompiledSchema.get(schema);
+    if (name === undefined) {
+        name = `schema${context.namesByCompiledSchema.size + 1}`;
+        context.namesByCompiledSchema.set(schema, name);
+        delete rv.$schema;
+        rebaseReferences(rv, `#/$defs/${name}`);
+        context.definitions[name] = rv;
+    }
+    return { $ref: `#/$defs/${name}` };
+};
+
+/**
+ * How to combine two values of the same bound keyword.
+ * @type {Record<string, function(number, number): number>}
+ */
+const tighteningsByKeyword = {
+    "exclusiveMaximum": Math.min,
+    "exclusiveMinimum": Math.max,
+    "maxItems": Math.min,
+    "maxLength": Math.min,
+    "maximum": Math.min,
+    "minItems": Math.max,
+    "minLength": Math.max,
+    "minimum": Math.max,
+};
+
+/**
+ * Adds type-specific keywords to the export of a refined schema.
+ * @private
+ * @param {Function} schema - The refined schema.
+ * @param {string[]} types - The JSON types to which the keywords apply.
+ * @param {function(string): Record<string, any>} getKeywords - Gets the
+ *   keywords from the JSON type of the refined schema.
+ * @param {ExportContext} context
+ * @returns {Record<string, any> | undefined} 'undefined' if the refined
+ *   schema does not only accept instances of the given types.
+ */
+const exportRefinement = (schema, types, getKeywords, context) => {
+    const rv = exportSchema(schema, context);
+    if (typeof rv === "boolean") return undefined;
+    // Compiled documents moved to the "$defs" are only referenced.
+    const name = context.namesByCompiledSchema.get(schema);
+    const target = name === undefined ? rv : context.definitions[name];
+    if (!types.includes(target.type)) return undefined;
+    const keywords = getKeywords(target.type);
+    if (target !== rv) return { allOf: [rv, keywords] };
+    const merged = { ...rv };
+    for (const [key, value] of Object.entries(keywords)) {
+        if (!(key in rv)) {
+            merged[key] = value;
+        } else if (key in tighteningsByKeyword) {
+            merged[key] = tighteningsByKeyword[key](rv[key], value);
+        } else {
+            return { allOf: [rv, keywords] };
+        }
+    }
+    return merged;
+};
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isJsonPrimitive = (value) => (value === null || tc.isBoolean(value)
+    || tc.isString(value) || tc.isRegularNumber(value));
+
+/**
+ * @private
+ * @param {Function} schema
+ * @param {ExportContext} context
+ * @returns {boolean | Record<string, any>}
+ */
+const exportSchema = (schema, context) => {
+    if (schema === anyValue || schema === presentValue) return true;
+    if (schema === noValue) return false;
+    const document = documentsByCompiledSchema.get(schema);
+    if (document !== undefined) return exportDocument(schema, document, context);
+    const jsonSchema = jsonSchemasByPredicate.get(schema);
+    if (jsonSchema !== undefined) return { ...jsonSchema };
+    if (unrepresentablePredicates.has(schema)) {
+        throw new TypeError(`Cannot export '${schema.name}' to JSON Schema: 'undefined' is not representable in JSON.`);
+    }
+    const description = tc.getDescription(schema);
+    const node = tc.getSchemaNode(schema);
+    switch (node?.kind) {
+        case "arrayOf": return { type: "array", items: exportSchema(node.schema, context) };
+        case "intersection": return { allOf: node.schemas.map((x) => exportSchema(x, context)) };
+        case "length": {
+            const { min, max } = node;
+            const rv = exportRefinement(node.schema, ["array", "string"], (type) => {
+                const [minKey, maxKey] = (type === "array"
+                    ? ["minItems", "maxItems"]
+                    : ["minLength", "maxLength"]);
+                return {
+                    ...(min === undefined ? {} : { [minKey]: min }),
+                    ...(max === undefined ? {} : { [maxKey]: max }),
+                };
+            }, context);
+            if (rv !== undefined) return rv;
+            break;
+        }
+        case "literal": {
+            if (isJsonPrimitive(node.value)) return { const: node.value };
+            break;
+        }
+        case "multipleOf": {
+            const { divisor } = node;
+            const rv = exportRefinement(node.schema, ["integer", "number"], () => ({ multipleOf: divisor }), context);
+            if (rv !== undefined) return rv;
+            break;
+        }
+        case "oneOf": {
+            if (node.values.every(isJsonPrimitive)) return { enum: [...node.values] };
+            break;
+        }
+        // 'undefined' is not a JSON value; optional properties are handled
+        // by the "required" keyword instead.
+        case "optional": return exportSchema(node.schema, context);
+        case "pattern": {
+            // JSON Schema patterns are always matched in Unicode mode.
+            if (!/^u?$/.test(node.regExp.flags)) break;
+            const { source } = node.regExp;
+            const rv = exportRefinement(node.schema, ["string"], () => ({ pattern: source }), context);
+            if (rv !== undefined) return rv;
+            break;
+        }
+        case "range": {
+            const { min, max, exclusiveMin, exclusiveMax } = node;
+            const rv = exportRefinement(node.schema, ["integer", "number"], () => ({
+                ...(min === undefined ? {} : { [exclusiveMin ? "exclusiveMinimum" : "minimum"]: min }),
+                ...(max === undefined ? {} : { [exclusiveMax ? "exclusiveMaximum" : "maximum"]: max }),
+            }), context);
+            if (rv !== undefined) return rv;
+            break;
+        }
+        case "record": {
+            /** @type {Record<string, any>} */
+            const rv = { type: "object", additionalProperties: exportSchema(node.schema, context) };
+            if (node.keySchema !== tc.isString) {
+                rv.propertyNames = exportSchema(node.keySchema, context);
+            }
+            return rv;
+        }
+        case "shape": {
+            const keys = Object.keys(node.properties);
+            /** @type {Record<string, any>} */
+            const properties = {};
+            for (const key of keys) properties[key] = exportSchema(node.properties[key], context);
+            const required = keys.filter((key) => tc.getSchemaNode(node.properties[key])?.kind !== "optional");
+            return {
+                type: "object",
+                properties,
+                required,
+                ...(node.exact ? { additionalProperties: false } : {}),
+            };
+        }
+        case "tuple": return {
+            type: "array",
+            prefixItems: node.schemas.map((x) => exportSchema(x, context)),
+            minItems: node.schemas.length,
+            maxItems: node.schemas.length,
+        };
+        case "union": return { anyOf: node.schemas.map((x) => exportSchema(x, context)) };
+        default: break;
+    }
+    throw new TypeError(`Cannot export ${description} to JSON Schema.`);
+};
+
+/**
+ * Exports a tc predicate or schema to a JSON Schema document.
+ * - Schemas built by 'tc.refine()' cannot be exported, except for the ones
+ * returned by 'compile()'.
+ * - Refinements such as 'tc.range()' or 'tc.pattern()' are exported as the
+ * matching keywords, as long as the refined schema has a single JSON type.
+ * - Nested compiled schemas with references are moved to the "$defs" of the
+ * document, so that their references still resolve.
+ * @param {Function} schema - A predicate or a schema.
+ * @returns {Record<string, any>}
+ * @throws {TypeError} If the schema has no JSON Schema equivalent.
+ * @example
+ * fromSchema(tc.shape({ name: tc.isString, tags: tc.optional(tc.arrayOf(tc.isString)) }));
+ * // -> {
+ * //     $schema: "https://json-schema.org/draft/2020-12/schema",
+ * //     type: "object",
+ * //     properties: {
+ * //         name: { type: "string" },
+ * //         tags: { type: "array", items: { type: "string" } },
+ * //     },
+ * //     required: ["name"],
+ * // }
+ */
+export function fromSchema(schema) {
+    tc.expectFunction(schema);
+    /** @type {ExportContext} */
+    const context = { definitions: {}, namesByCompiledSchema: new Map() };
+    const document = documentsByCompiledSchema.get(schema);
+    // The references of a compiled document are already relative to its root.
+    const rv = (document === undefined
+        ? exportSchema(schema, context)
+        : JSON.parse(JSON.stringify(document)));
+    if (rv === true) return { $schema: DIALECT };
+    if (rv === false) return { $schema: DIALECT, not: {} };
+    if (Object.keys(context.definitions).length === 0) return { $schema: DIALECT, ...rv };
+    return { $schema: DIALECT, ...rv, $defs: { ...rv.$defs, ...context.definitions } };
+}
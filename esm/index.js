@@ -7,10 +7,14 @@
  * @license AGPL-3.0
  */
 export * as Arrays from "./Arrays.js";
+export * as AsyncIterables from "./AsyncIterables.js";
+export * as Coercions from "./Coercions.js";
 export * as Functions from "./Functions.js";
+export * as Generators from "./Generators.js";
 export * as Iterables from "./Iterables.js";
 export * as Iterators from "./Iterators.js";
 export * as JsonObjects from "./JsonObjects.js";
+export * as JsonSchemas from "./JsonSchemas.js";
 export * as Maps from "./Maps.js";
 export * as Numbers from "./Numbers.js";
 export * as Objects from "./Objects.js";
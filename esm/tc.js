@@ -14,6 +14,35 @@ const TypedArrayPrototype = (areTypedArraysSupported
     ? TypedArray.prototype
     : undefined);
 
+/**
+ * Stable codes of the errors thrown by tc, which do not depend on messages.
+ * @readonly
+ * @enum {string}
+ */
+export const ErrorCodes = Object.freeze({
+    ASSERTION: "ERR_TC_ASSERTION",
+    CONTRACT_ARGUMENT: "ERR_TC_CONTRACT_ARGUMENT",
+    CONTRACT_RETURN_VALUE: "ERR_TC_CONTRACT_RETURN_VALUE",
+    ELEMENT_TYPE: "ERR_TC_ELEMENT_TYPE",
+    TYPE: "ERR_TC_TYPE",
+    VALIDATION: "ERR_TC_VALIDATION",
+});
+
+/**
+ * Machine-readable details of a tc error.
+ * - Details are own enumerable properties of the error, so that they survive
+ * 'JSON.stringify()'.
+ * - Other properties, e.g. 'index', are copied as is.
+ * @typedef {object} ErrorDetails
+ * @property {string} [code] - One of the 'ErrorCodes' values.
+ * @property {string | null} [expectedType] - The name of the expected type,
+ *   e.g. "PositiveInteger", if it has one.
+ * @property {any} [received] - The invalid value, whose type name is stored
+ *   in the 'receivedType' property instead.
+ * @property {string | null} [caller] - The name of the function which received
+ *   the invalid value. It is read from the stack trace by default.
+ */
+
 /**
  * @private
  * @param {Function} errorType
@@ -24,8 +53,99 @@ const makeErrorMessage = (errorType, parameterName, readableTypeDescription) =>
     `An instance of '${errorType.name}' was about to be thrown but the error constructor was called incorrectly: argument '${parameterName}' was not ${readableTypeDescription}.`
 );
 
+/**
+ * Returns the name of the function in the first frame of a V8 stack trace.
+ * @private
+ * @param {string | undefined} stack
+ * @param {string | null} ignoredName - The name of a first frame to skip.
+ * @returns {string | null}
+ */
+const getCallerName = (stack, ignoredName) => {
+    const frames = String(stack).split("\n").filter((line) => /^\s+at /.test(line));
+    const names = frames.slice(0, 2).map((frame) => {
+        const match = /^\s+at (?:async )?(?:new )?([^\s(]+) \(/.exec(frame);
+        return match === null ? null : match[1].split(".").at(-1) ?? null;
+    });
+    return (names[0] === ignoredName ? names[1] : names[0]) ?? null;
+};
+
+/**
+ * Defines the 'caller' property of an error as a getter, since most errors
+ * are caught without reading it and parsing their stack is not free.
+ * @private
+ * @param {Error} error
+ * @param {string | null} ignoredName
+ */
+const defineLazyCaller = (error, ignoredName) => {
+    /**
+     * @param {string | null} value
+     */
+    const defineValue = (value) => {
+        Object.defineProperty(error, "caller", {
+            configurable: true,
+            enumerable: true,
+            value,
+            writable: true,
+        });
+    };
+    Object.defineProperty(error, "caller", {
+        configurable: true,
+        enumerable: true,
+        get() {
+            const value = getCallerName(error.stack, ignoredName);
+            defineValue(value);
+            return value;
+        },
+        set: defineValue,
+    });
+};
+
+/**
+ * @private
+ * @this {Error}
+ * @returns {Record<string, any>}
+ */
+function errorToJSON() {
+    return Object.assign({ name: this.name, message: this.message }, this);
+}
+
+/**
+ * @private
+ * @param {Error} error
+ * @param {ErrorDetails & Record<string, any>} details
+ * @param {string | null} ignoredCallerName
+ */
+const attachDetails = (error, details, ignoredCallerName) => {
+    if (typeof details !== "object" || details === null) {
+        throw new TypeError(makeErrorMessage(error.constructor, "details", "an object"));
+    }
+    const { received, ...otherDetails } = details;
+    Object.assign(error, otherDetails);
+    if (!("caller" in details)) defineLazyCaller(error, ignoredCallerName);
+    if ("received" in details) {
+        Object.assign(error, { receivedType: getTypeName(received) });
+    }
+    if (!("toJSON" in error)) {
+        Object.defineProperty(error, "toJSON", {
+            configurable: true,
+            value: errorToJSON,
+            writable: true,
+        });
+    }
+};
+
 export class AssertionError extends Error {
     name = "AssertionError";
+    /** @type {string} */
+    code = ErrorCodes.ASSERTION;
+    /** @type {string | null} */
+    expected = null;
+    /** @type {string | null} */
+    expectedType = null;
+    /** @type {string | null} */
+    receivedType = null;
+    /** @type {string | null} */
+    caller = null;
     constructor(message = "") {
         super(message);
         if (typeof message !== "string") {
@@ -36,6 +156,45 @@ export class AssertionError extends Error {
             Error.captureStackTrace(this, AssertionError);
         }
     }
+
+    /**
+     * @returns {Record<string, any>} The name, message and details.
+     */
+    toJSON() {
+        return errorToJSON.call(this);
+    }
+}
+
+/**
+ * @typedef {object} ValidationFailure
+ * @property {string} path - The JSON path of the invalid value, e.g. "$.tags[0]".
+ * @property {string} expected - A readable description of the expected type.
+ * @property {string} received - The type name of the invalid value.
+ */
+
+/**
+ * An assertion error listing every failure found while validating a value.
+ */
+export class ValidationError extends AssertionError {
+    name = "ValidationError";
+    code = ErrorCodes.VALIDATION;
+    /**
+     * @param {ValidationFailure[]} failures
+     */
+    constructor(failures) {
+        if (!Array.isArray(failures) || failures.length === 0) {
+            throw new TypeError(makeErrorMessage(ValidationError, "failures", "a non-empty array"));
+        }
+        const lines = failures.map(({ path, expected, received }) => (
+            `\n- ${path}: expected ${expected}, got ${received}.`
+        ));
+        super(`found ${failures.length} validation ${failures.length === 1 ? "failure" : "failures"}:${lines.join("")}`);
+        /** @type {ReadonlyArray<ValidationFailure>} */
+        this.failures = Object.freeze(failures.map((failure) => Object.freeze({ ...failure })));
+        if (typeof Error.captureStackTrace === "function") {
+            Error.captureStackTrace(this, ValidationError);
+        }
+    }
 }
 
 /**
@@ -43,47 +202,93 @@ export class AssertionError extends Error {
  * @param {string} [message]
  * @param {Function} [thrower] - A function that should not show up in the
  *   stack trace of the generated error.
+ * @param {ErrorDetails & Record<string, any>} [details]
  * @throws {AssertionError}
  */
-export function throwNewAssertionError(message, thrower = undefined) {
+export function throwNewAssertionError(message, thrower = undefined, details = {}) {
     if (typeof message !== "string") {
         // Do not attempt to modify the 'stack' property in this case.
         throw new TypeError(makeErrorMessage(AssertionError, "message", "a string"));
     }
     const error = new AssertionError(message);
-    if ("1" in arguments) {
+    // Without a thrower, the first stack frame is the one of this function.
+    /** @type {string | null} */
+    let ignoredCallerName = throwNewAssertionError.name;
+    if ("1" in arguments && thrower !== undefined) {
         if (typeof thrower !== "function") {
             throw new TypeError(makeErrorMessage(TypeError, "thrower", "a function"));
         }
         if (typeof Error.captureStackTrace === "function") {
             Error.captureStackTrace(error, thrower);
         }
+        ignoredCallerName = null;
     }
+    attachDetails(error, details, ignoredCallerName);
     throw error;
 }
 
 /**
  * Creates and throws a custom 'TypeError' instance.
+ * - The error has the 'code', 'expected', 'expectedType', 'receivedType'
+ * and 'caller' properties described by 'ErrorDetails'.
  * @param {string} typeDescription - A non-empty and preferably readable
  *   description of the type which was expected.
  * @param {Function} [thrower] - A function that should not show up in the
  *   stack trace of the generated error.
+ * @param {ErrorDetails & Record<string, any>} [details]
  * @throws {TypeError}
  */
-export function throwNewTypeError(typeDescription, thrower = undefined) {
+export function throwNewTypeError(typeDescription, thrower = undefined, details = {}) {
     if (typeof typeDescription !== "string" || typeDescription === "") {
         // Do not attempt to modify the 'stack' property in this case.
         throw new TypeError(makeErrorMessage(TypeError, "typeDescription", "a non-empty string"));
     }
     const error = new TypeError(`expected ${typeDescription}.`);
-    if ("1" in arguments) {
+    // Without a thrower, the first stack frame is the one of this function.
+    /** @type {string | null} */
+    let ignoredCallerName = throwNewTypeError.name;
+    if ("1" in arguments && thrower !== undefined) {
         if (typeof thrower !== "function") {
             throw new TypeError(makeErrorMessage(TypeError, "thrower", "a function"));
         }
         if (typeof Error.captureStackTrace === "function") {
             Error.captureStackTrace(error, thrower);
         }
+        ignoredCallerName = null;
+    }
+    attachDetails(error, {
+        code: ErrorCodes.TYPE,
+        expected: typeDescription,
+        expectedType: null,
+        receivedType: null,
+        ...details,
+    }, ignoredCallerName);
+    throw error;
+}
+
+/**
+ * Creates and throws a custom 'ValidationError' instance.
+ * @param {ValidationFailure[]} failures - A non-empty list of failures.
+ * @param {Function} [thrower] - A function that should not show up in the
+ *   stack trace of the generated error.
+ * @param {ErrorDetails & Record<string, any>} [details]
+ * @throws {ValidationError}
+ */
+export function throwNewValidationError(failures, thrower = undefined, details = {}) {
+    const error = new ValidationError(failures);
+    // Without a thrower, the first stack frame is the one of this function.
+    /** @type {string | null} */
+    let ignoredCallerName = throwNewValidationError.name;
+    if ("1" in arguments && thrower !== undefined) {
+        if (typeof thrower !== "function") {
+            throw new TypeError(makeErrorMessage(ValidationError, "thrower", "a function"));
+        }
+        if (typeof Error.captureStackTrace === "function") {
+            Error.captureStackTrace(error, thrower);
+        }
+        ignoredCallerName = null;
     }
+    attachDetails(error, details, ignoredCallerName);
     throw error;
 }
 
@@ -96,7 +301,376 @@ export function throwNewTypeError(typeDescription, thrower = undefined) {
 export function assert(arg, message = "") {
     if (typeof arg !== "boolean") throwNewTypeError("a boolean value");
     if (typeof message !== "string") throwNewTypeError("a string");
-    if (arg !== true) throwNewAssertionError(message);
+    if (arg !== true) throwNewAssertionError(message, assert);
+}
+
+// ====== Assertions ====== //
+
+// The next helpers are copies of functions of 'Objects' and 'JsonObjects',
+//   which cannot be imported since these modules import tc.
+
+/**
+ * @private
+ * @param {object} object
+ * @returns {string}
+ */
+const getTag = (object) => {
+    if (isSymbolToStringTagSupported) {
+        const tag = object[Symbol.toStringTag];
+        if (typeof tag === "string") return tag;
+    }
+    return Object.prototype.toString.call(object).slice("[object ".length, -1);
+};
+
+/**
+ * @private
+ * @param {any} value1
+ * @param {any} value2
+ * @returns {boolean}
+ */
+const deepEquals = (value1, value2) => {
+    if (Object.is(value1, value2)) return true;
+    if (typeof value1 !== "object" || typeof value2 !== "object") return false;
+    if (value1 === null || value2 === null) return false;
+    if (Object.getPrototypeOf(value1) !== Object.getPrototypeOf(value2)) return false;
+    if (Array.isArray(value1)) {
+        if (value1.length !== value2.length) return false;
+        for (let i = 0; i < value1.length; i++) {
+            if (!deepEquals(value1[i], value2[i])) return false;
+        }
+        return true;
+    }
+    for (const key1 in value1) {
+        if (!deepEquals(value1[key1], value2[key1])) return false;
+    }
+    for (const key2 in value2) {
+        if (!deepEquals(value1[key2], value2[key2])) return false;
+    }
+    return true;
+};
+
+/**
+ * @private
+ * @param {any} value1
+ * @param {any} value2
+ * @returns {boolean} Whether both values are JSON values which are equal.
+ */
+const jsonEquals = (value1, value2) => {
+    if (isPrimitive(value1) || isPrimitive(value2)) return Object.is(value1, value2);
+    if (Array.isArray(value1) || Array.isArray(value2)) {
+        if (!Array.isArray(value1) || !Array.isArray(value2)) return false;
+        if (value1.length !== value2.length) return false;
+        return value1.every((x, i) => jsonEquals(x, value2[i]));
+    }
+    if (!isPlainObject(value1) || !isPlainObject(value2)) return false;
+    const keys1 = Object.keys(value1);
+    if (keys1.length !== Object.keys(value2).length) return false;
+    return keys1.every((key) => Object.hasOwn(value2, key) && jsonEquals(value1[key], value2[key]));
+};
+
+/**
+ * Formats a value as readable lines, which can be diffed line by line.
+ * @private
+ * @param {any} value
+ * @param {Set<object>} ancestors - Used to detect circular references.
+ * @returns {string[]}
+ */
+const inspectLines = (value, ancestors = new Set()) => {
+    if (Object.is(value, -0)) return ["-0"];
+    if (typeof value === "function") return [`[Function ${value.name || "anonymous"}]`];
+    if (isPrimitive(value)) return [formatValue(value)];
+    if (ancestors.has(value)) return ["[Circular]"];
+    if (isDate(value)) return [`Date(${Number.isNaN(value.getTime()) ? "Invalid Date" : value.toISOString()})`];
+    if (isRegExp(value)) return [String(value)];
+    if (value instanceof Error) return [`[${value.name}: ${value.message}]`];
+    /** @type {Array<[string, any]>} */
+    let entries;
+    let [open, close] = ["{", "}"];
+    if (Array.isArray(value)) {
+        entries = value.map((x) => ["", x]);
+        [open, close] = ["[", "]"];
+    } else if (value instanceof Map) {
+        entries = [...value].map(([k, v]) => [`${inspectLines(k, ancestors).join(" ")} => `, v]);
+        open = "Map {";
+    } else if (value instanceof Set) {
+        entries = [...value].map((x) => ["", x]);
+        open = "Set {";
+    } else {
+        entries = Object.keys(value).map((key) => [`${joinPath("", key).replace(/^\./, "")}: `, value[key]]);
+        if (!isPlainObject(value)) open = `${getTag(value)} {`;
+    }
+    if (entries.length === 0) return [`${open}${close}`];
+    ancestors.add(value);
+    const lines = [open];
+    for (const [prefix, x] of entries) {
+        const childLines = inspectLines(x, ancestors);
+        childLines[0] = `${prefix}${childLines[0]}`;
+        childLines[childLines.length - 1] += ",";
+        for (const line of childLines) lines.push(`    ${line}`);
+    }
+    ancestors.delete(value);
+    lines.push(close);
+    return lines;
+};
+
+/**
+ * Copies a regular expression without its 'g' and 'y' flags, so that
+ * matching is stateless.
+ * @private
+ * @param {any} regExp - A 'RegExp' object.
+ * @returns {RegExp}
+ */
+const toStatelessRegExp = (regExp) => new RegExp(regExp.source, regExp.flags.replace(/[gy]/g, ""));
+
+/**
+ * Diffs the readable forms of two values, using their longest common
+ * subsequence of lines.
+ * @private
+ * @param {any} actual
+ * @param {any} expected
+ * @returns {string} Lines prefixed by "- " for expected values, "+ " for
+ *   actual values, or two spaces when common.
+ */
+const diffValues = (actual, expected) => {
+    const a = inspectLines(expected);
+    const b = inspectLines(actual);
+    /** @type {number[][]} */
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = (a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]));
+        }
+    }
+    const lines = ["- expected", "+ actual", ""];
+    let [i, j] = [0, 0];
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push(`  ${a[i++]}`);
+            j++;
+        } else if (j === b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            lines.push(`- ${a[i++]}`);
+        } else {
+            lines.push(`+ ${b[j++]}`);
+        }
+    }
+    return lines.join("\n");
+};
+
+/**
+ * @private
+ * @param {string} message - The custom message, if not empty.
+ * @param {string} defaultMessage
+ * @param {any} actual
+ * @param {any} expected
+ * @param {Function} thrower
+ * @throws {AssertionError}
+ */
+const throwNewComparisonError = (message, defaultMessage, actual, expected, thrower) => {
+    const diff = diffValues(actual, expected);
+    throwNewAssertionError(`${message || defaultMessage}\n${diff}`, thrower, {
+        expected: inspectLines(expected).join("\n"),
+        received: actual,
+        diff,
+    });
+};
+
+/**
+ * Asserts that two values are identical according to 'Object.is()'.
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} [message] - Replaces the first line of the error message.
+ * @throws {AssertionError} If the values are not identical. Its message
+ *   includes a diff of their readable forms.
+ */
+export function assertEqual(actual, expected, message = "") {
+    expectString(message);
+    if (!Object.is(actual, expected)) {
+        throwNewComparisonError(message, "expected values to be identical:", actual, expected, assertEqual);
+    }
+}
+
+/**
+ * Asserts that two values are deeply equal.
+ * - By default, values are compared like 'Objects.deepEquals()' does.
+ * - With the 'json' option, objects are compared like 'JsonObjects.equals()'
+ * does,
+ * and primitive values by 'Object.is()'.
+ * @param {any} actual
+ * @param {any} expected
+ * @param {object} [options]
+ * @param {boolean} [options.json]
+ * @param {string} [options.message] - Replaces the first line of the error
+ *   message.
+ * @throws {AssertionError} If the values are not deeply equal. Its message
+ *   includes a diff of their readable forms.
+ * @example
+ * assertDeepEqual({ a: [1, 2] }, { a: [1, 3] });
+ * // AssertionError: expected values to be deeply equal:
+ * // - expected
+ * // + actual
+ * //
+ * //   {
+ * //       a: [
+ * //           1,
+ * // -         3,
+ * // +         2,
+ * //       ],
+ * //   }
+ */
+export function assertDeepEqual(actual, expected, { json = false, message = "" } = {}) {
+    expectBoolean(json);
+    expectString(message);
+    let isEqual = false;
+    if (!json) {
+        isEqual = deepEquals(actual, expected);
+    } else if (isNonPrimitive(actual) && isNonPrimitive(expected)) {
+        isEqual = jsonEquals(actual, expected);
+    } else {
+        isEqual = Object.is(actual, expected);
+    }
+    if (!isEqual) {
+        throwNewComparisonError(message, "expected values to be deeply equal:", actual, expected, assertDeepEqual);
+    }
+}
+
+/**
+ * @private
+ * @param {any} error
+ * @param {Function | RegExp | Record<string, any> | undefined} expected
+ * @returns {string | null} A description of the expected error if the
+ *   given error does not match, else 'null'.
+ */
+const getErrorMismatch = (error, expected) => {
+    if (expected === undefined) return null;
+    if (isRegExp(expected)) {
+        const text = isNonPrimitive(error) && "message" in error ? String(error.message) : String(error);
+        return toStatelessRegExp(expected).test(text)
+            ? null
+            : `an error whose message matches ${expected}`;
+    }
+    if (typeof expected === "function") {
+        if (expected === Error || expected.prototype instanceof Error) {
+            return error instanceof expected ? null : `an instance of '${expected.name}'`;
+        }
+        return expected(error) === true ? null : `an error passing the '${expected.name || "anonymous"}' test`;
+    }
+    const keys = Object.keys(expected);
+    const isMatchingProperty = (key) => deepEquals(error[key], expected[key]);
+    if (isNonPrimitive(error) && keys.every(isMatchingProperty)) return null;
+    return `an error with the properties ${formatList(keys.map((key) => `'${key}'`), "and")} deeply equal to ${inspectLines(expected).join(" ")}`;
+};
+
+/**
+ * @private
+ * @param {any} expected
+ */
+const expectErrorMatcher = (expected) => {
+    if (expected !== undefined && typeof expected !== "function"
+        && !isRegExp(expected) && !isPlainObject(expected)) {
+        throwNewTypeError("a function, a 'RegExp' object or a plain object", expectErrorMatcher, {
+            received: expected,
+        });
+    }
+};
+
+/**
+ * Asserts that a function throws an error.
+ * @param {function(): any} fn - Called without arguments.
+ * @param {Function | RegExp | Record<string, any>} [expected] - Either an
+ *   error class, a test function, a regular expression matching the error
+ *   message, or an object whose properties are deeply equal to the ones of
+ *   the error.
+ * @param {string} [message]
+ * @returns {any} The thrown error.
+ * @throws {AssertionError} If no error is thrown, or if it does not match.
+ * @example const error = assertThrows(() => expectString(1), TypeError);
+ */
+export function assertThrows(fn, expected = undefined, message = "") {
+    expectFunction(fn);
+    expectErrorMatcher(expected);
+    expectString(message);
+    try {
+        fn();
+    } catch (error) {
+        const mismatch = getErrorMismatch(error, expected);
+        if (mismatch !== null) {
+            throwNewComparisonError(message, `expected the function to throw ${mismatch}:`, error, expected, assertThrows);
+        }
+        return error;
+    }
+    return throwNewAssertionError(message || "expected the function to throw an error.", assertThrows, {
+        expected: "an error",
+    });
+}
+
+/**
+ * Asserts that a promise is rejected.
+ * @param {Promise<any> | function(): Promise<any>} promiseOrFn - Either a
+ *   promise, or a function returning one, which may also throw synchronously.
+ * @param {Function | RegExp | Record<string, any>} [expected] - See
+ *   'assertThrows()'.
+ * @param {string} [message]
+ * @returns {Promise<any>} A promise of the rejection reason.
+ * @throws {AssertionError} Asynchronously, if the promise is fulfilled or
+ *   if the rejection reason does not match.
+ * @example await assertRejects(fetch("http://invalid"), TypeError);
+ */
+export async function assertRejects(promiseOrFn, expected = undefined, message = "") {
+    if (typeof promiseOrFn !== "function" && typeof promiseOrFn?.then !== "function") {
+        throwNewTypeError("a promise or a function", assertRejects, { received: promiseOrFn });
+    }
+    expectErrorMatcher(expected);
+    expectString(message);
+    try {
+        await (typeof promiseOrFn === "function" ? promiseOrFn() : promiseOrFn);
+    } catch (error) {
+        const mismatch = getErrorMismatch(error, expected);
+        if (mismatch !== null) {
+            throwNewComparisonError(message, `expected the promise to be rejected with ${mismatch}:`, error, expected, assertRejects);
+        }
+        return error;
+    }
+    return throwNewAssertionError(message || "expected the promise to be rejected.", assertRejects, {
+        expected: "a rejected promise",
+    });
+}
+
+/**
+ * Asserts that a value matches a regular expression, a predicate or a schema.
+ * - For schemas, the error message lists every validation failure.
+ * @param {any} actual
+ * @param {RegExp | Function} expected - A regular expression, which only
+ *   matches strings, or a known predicate or a schema.
+ * @param {string} [message] - Replaces the first line of the error message.
+ * @throws {AssertionError} If the value does not match.
+ * @example assertMatches("2024-01-01", /^\d{4}-\d{2}-\d{2}$/);
+ */
+export function assertMatches(actual, expected, message = "") {
+    expectString(message);
+    if (isRegExp(expected)) {
+        const regExp = toStatelessRegExp(expected);
+        if (typeof actual !== "string" || !regExp.test(actual)) {
+            throwNewAssertionError(`${message || `expected a string matching ${regExp}:`}\n+ ${inspectLines(actual).join("\n+ ")}`, assertMatches, {
+                expected: `a string matching ${regExp}`,
+                received: actual,
+            });
+        }
+        return;
+    }
+    const schema = /** @type {Function} */ (expected);
+    expectKnownPredicates([schema]);
+    const failures = validate(schema, actual);
+    if (failures.length !== 0) {
+        const lines = failures.map(({ path, expected: x, received }) => `\n- ${path}: expected ${x}, got ${received}.`);
+        throwNewAssertionError(`${message || `expected ${getDescription(schema)}:`}${lines.join("")}`, assertMatches, {
+            expected: getDescription(schema),
+            expectedType: getPredicateTypeName(schema),
+            received: actual,
+            failures: Object.freeze(failures),
+        });
+    }
 }
 
 // ====== Predicates ====== //
@@ -159,6 +733,14 @@ export function isArrayLikeObject(arg) {
         && arg.length >= 0);
 }
 
+/**
+ * @param {any} arg
+ */
+export function isAsyncIterable(arg) {
+    if (arg === null || typeof arg === "undefined") return false;
+    return Symbol.asyncIterator in new Object(arg);
+}
+
 /**
  * @param {any} arg
  */
@@ -609,6 +1191,7 @@ const descriptionsByTypeName = {
     "ArrayBuffer": "an 'ArrayBuffer' object",
     "ArrayLike": "an array-like value",
     "ArrayLikeObject": "an array-like object",
+    "AsyncIterable": "an async iterable",
     "BareObject": "an object whose prototype is 'null'",
     "BigInt": "a BigInt integer",
     "Boolean": "a boolean",
@@ -658,6 +1241,7 @@ const predicatesByName = {
     isArrayBuffer,
     isArrayLike,
     isArrayLikeObject,
+    isAsyncIterable,
     isBareObject,
     isBigInt,
     isBoolean,
@@ -707,17 +1291,26 @@ const predicatesByName = {
     isWeakMap,
     isWeakSet,
 };
+/**
+ * @private
+ * @param {string} name
+ * @returns {string} Why the given type name is invalid, or an empty string.
+ */
+const getInvalidTypeNameReason = (name) => {
+    if (!/^[A-Z]/.test(name)) {
+        return "it does not start with an uppercase ASCII letter";
+    }
+    if (/[^\w$]/.test(name)) {
+        return "it includes a forbidden character";
+    }
+    return "";
+};
 const typeNames = Object.keys(descriptionsByTypeName);
 // Validates the 'descriptionsByTypeName' object.
 // Do not call 'tc' public functions here.
 for (const name of typeNames) {
     const objectName = "descriptionsByTypeName";
-    let reason = "";
-    if (!/^[A-Z]/.test(name)) {
-        reason = "it does not start with an uppercase ASCII letter";
-    } else if (/[^\w$]/.test(name)) {
-        reason = "it includes a forbidden character";
-    }
+    const reason = getInvalidTypeNameReason(name);
     if (reason) {
         throw new TypeError(`Invalid key ${JSON.stringify(name)} in '${objectName}': ${reason}.`);
     }
@@ -731,50 +1324,196 @@ for (const name of typeNames) {
         throw new TypeError(`Invalid or missing '${predicateName}' predicate for the '${name}' type.`);
     }
 }
+
 /**
- *
+ * @typedef {object} SchemaNode
+ * @property {string} kind - The name of the combinator which built the schema.
+ * @property {string} description - A readable description of the schema.
+ */
+
+/**
+ * Nodes describing the predicates built by schema combinators.
+ * @type {WeakMap<Function, SchemaNode & Record<string, any>>}
+ */
+const schemaNodesByPredicate = new WeakMap();
+
+/**
+ * Names of the types registered using 'registerType()', by predicate.
+ * @type {WeakMap<Function, string>}
+ */
+const customTypeNamesByPredicate = new WeakMap();
+
+/**
+ * @private
  * @param {Function} predicate
+ * @returns {string | undefined} The name of the built-in or registered type
+ *   checked by the given predicate, or 'undefined' if it is unknown.
  */
-export function makeExpectation(predicate) {
+const getKnownTypeName = (predicate) => {
+    const customTypeName = customTypeNamesByPredicate.get(predicate);
+    if (customTypeName !== undefined) return customTypeName;
+    // Built-in predicates are named after their type, but only the very same
+    // function is known, not another function with the same name.
     const typeName = predicate.name.slice(2);
-    const description = descriptionsByTypeName[typeName];
-    if (description === undefined) {
-        throw new TypeError("expected a known predicate.");
+    if (Object.hasOwn(descriptionsByTypeName, typeName)
+        && predicatesByName[`is${typeName}`] === predicate) return typeName;
+    return undefined;
+};
+
+/**
+ * Returns the readable description of the type checked by the given predicate.
+ * - Works with the predicates of this module as well as with schemas.
+ * @param {Function} predicate
+ * @returns {string}
+ * @throws {TypeError} If the predicate is unknown.
+ * @example getDescription(isSafeInteger); // -> "a safe integer"
+ */
+export function getDescription(predicate) {
+    if (typeof predicate !== "function") throwNewTypeError("a function", getDescription);
+    const node = schemaNodesByPredicate.get(predicate);
+    if (node !== undefined) return node.description;
+    const typeName = getKnownTypeName(predicate);
+    if (typeName === undefined) {
+        throwNewTypeError("a known predicate", getDescription, { received: predicate });
     }
+    return descriptionsByTypeName[/** @type {string} */ (typeName)];
+}
+
+/**
+ * @private
+ * @param {Function} predicate - A known predicate or a schema.
+ * @returns {string | null} The name of the type checked by the predicate,
+ *   or 'null' for schemas.
+ */
+const getPredicateTypeName = (predicate) => {
+    if (schemaNodesByPredicate.has(predicate)) return null;
+    return getKnownTypeName(predicate) ?? null;
+};
+
+/**
+ * Creates an 'expect*'-style function from a known predicate or a schema.
+ * @param {Function} predicate
+ */
+export function makeExpectation(predicate) {
+    const description = getDescription(predicate);
+    const expectedType = getPredicateTypeName(predicate);
     return (function expectation(arg) {
         if (!predicate(arg)) {
-            throwNewTypeError(description, expectation);
+            throwNewTypeError(description, expectation, { expectedType, received: arg });
         }
     });
 }
 /**
- *
+ * Creates an 'expect*s'-style function from a known predicate or a schema.
  * @param {Function} predicate
  */
 export function makePluralExpectation(predicate) {
-    const typeName = predicate.name.slice(2);
-    const description = descriptionsByTypeName[typeName];
-    if (description === undefined) {
-        throw new TypeError("expected a known predicate.");
-    }
+    const description = getDescription(predicate);
     const elementTypeDescription = `every element to be ${description}`;
     const pluralTypeDescription = (`an array or array-like object where every element is ${description}`);
+    const expectedType = getPredicateTypeName(predicate);
     return (function expectation(values) {
         if (!isArrayLikeObject(values)) {
-            throwNewTypeError(pluralTypeDescription, expectation);
+            throwNewTypeError(pluralTypeDescription, expectation, {
+                expectedType: "ArrayLikeObject",
+                received: values,
+            });
         }
         for (let i = 0; i < values.length; i++) {
             if (!predicate(values[i])) {
-                throwNewTypeError(elementTypeDescription, expectation);
+                throwNewTypeError(elementTypeDescription, expectation, {
+                    code: ErrorCodes.ELEMENT_TYPE,
+                    expectedType,
+                    received: values[i],
+                    index: i,
+                });
             }
         }
     });
 }
 
+/**
+ * @template T
+ * @typedef {object} RegisteredType
+ * @property {string} typeName
+ * @property {string} description
+ * @property {(arg: any) => arg is T} predicate
+ * @property {Expectation<T>} expectation
+ * @property {PluralExpectation<T>} pluralExpectation
+ */
+
+/**
+ * Registers a custom type, so that its predicate gets the same singular and
+ * plural expectations as the built-in ones.
+ * - The predicate is also accepted by 'makeExpectation()',
+ * 'makePluralExpectation()', 'getDescription()' and the schema combinators.
+ * - Assertion functions need an explicit type annotation to narrow types in
+ * TypeScript, hence the 'RegisteredType' return type.
+ * @template T
+ * @param {string} typeName - A name starting with an uppercase ASCII letter,
+ *   e.g. "Uuid". It must not already be in use.
+ * @param {(arg: any) => arg is T} predicate
+ * @param {string} description - A readable description of the type,
+ *   e.g. "a UUID string".
+ * @returns {RegisteredType<T>}
+ * @example
+ * const Uuid = registerType("Uuid", isUuid, "a UUID string");
+ * const expectUuid = Uuid.expectation;
+ * const expectUuids = Uuid.pluralExpectation;
+ */
+export function registerType(typeName, predicate, description) {
+    expectNonEmptyString(typeName);
+    expectFunction(predicate);
+    expectNonEmptyString(description);
+    const reason = getInvalidTypeNameReason(typeName);
+    if (reason) {
+        throw new TypeError(`Invalid type name ${JSON.stringify(typeName)}: ${reason}.`);
+    }
+    if (Object.hasOwn(descriptionsByTypeName, typeName)) {
+        throw new Error(`The '${typeName}' type is already registered.`);
+    }
+    if (customTypeNamesByPredicate.has(predicate) || schemaNodesByPredicate.has(predicate)) {
+        throw new Error("The given predicate is already registered.");
+    }
+    descriptionsByTypeName[typeName] = description;
+    predicatesByName[`is${typeName}`] = predicate;
+    customTypeNamesByPredicate.set(predicate, typeName);
+    return Object.freeze({
+        typeName,
+        description,
+        predicate,
+        expectation: makeExpectation(predicate),
+        pluralExpectation: makePluralExpectation(predicate),
+    });
+}
+
+/**
+ * Returns the predicate of a built-in or registered type.
+ * @param {string} typeName - E.g. "SafeInteger".
+ * @returns {function(any): boolean}
+ * @throws {TypeError} If the type is unknown.
+ */
+export function getPredicate(typeName) {
+    expectNonEmptyString(typeName);
+    if (!Object.hasOwn(descriptionsByTypeName, typeName)) {
+        throw new TypeError(`expected a known type name, got ${JSON.stringify(typeName)}.`);
+    }
+    return predicatesByName[`is${typeName}`];
+}
+
+/**
+ * Returns the names of the built-in and registered types.
+ * @returns {string[]}
+ */
+export function getTypeNames() {
+    return Object.keys(descriptionsByTypeName);
+}
+
 export const expectArray = makeExpectation(isArray);
 export const expectArrayBuffer = makeExpectation(isArrayBuffer);
 export const expectArrayLike = makeExpectation(isArrayLike);
 export const expectArrayLikeObject = makeExpectation(isArrayLikeObject);
+export const expectAsyncIterable = makeExpectation(isAsyncIterable);
 export const expectBoolean = makeExpectation(isBoolean);
 export const expectDate = makeExpectation(isDate);
 export const expectFunction = makeExpectation(isFunction);
@@ -816,6 +1555,7 @@ export const expectArrays = makePluralExpectation(isArray);
 export const expectArrayBuffers = makePluralExpectation(isArrayBuffer);
 export const expectArrayLikes = makePluralExpectation(isArrayLike);
 export const expectArrayLikeObjects = makePluralExpectation(isArrayLikeObject);
+export const expectAsyncIterables = makePluralExpectation(isAsyncIterable);
 export const expectBigInts = makePluralExpectation(isBigInt);
 export const expectBooleans = makePluralExpectation(isBoolean);
 export const expectDates = makePluralExpectation(isDate);
@@ -854,3 +1594,628 @@ export const expectSymbols = makePluralExpectation(isSymbol);
 export const expectTypedArrays = makePluralExpectation(isTypedArray);
 export const expectWeakMaps = makePluralExpectation(isWeakMap);
 export const expectWeakSets = makePluralExpectation(isWeakSet);
+
+// ====== Schemas ====== //
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+    switch (typeof value) {
+        case "bigint": return `${value}n`;
+        case "string": return JSON.stringify(value);
+        case "symbol": return value.toString();
+        default: return String(value);
+    }
+};
+
+/**
+ * @private
+ * @param {string[]} items
+ * @param {string} conjunction
+ * @returns {string}
+ */
+const formatList = (items, conjunction) => (items.length < 2
+    ? items.join("")
+    : `${items.slice(0, -1).join(", ")} ${conjunction} ${items.at(-1)}`);
+
+/**
+ * Checks if a value is a schema.
+ * - Schemas are the predicates built by combinators such as 'shape()'.
+ * @param {any} arg
+ * @returns {boolean}
+ */
+export function isSchema(arg) {
+    return schemaNodesByPredicate.has(arg);
+}
+
+/**
+ * Returns the node describing a schema, which allows to walk nested schemas.
+ * - Nodes are frozen objects with a 'kind' and a 'description' property,
+ * as well as the arguments given to the combinator.
+ * @param {Function} schema
+ * @returns {(SchemaNode & Record<string, any>) | undefined} 'undefined' if the
+ *   given function is not a schema.
+ * @example getSchemaNode(arrayOf(isString)).kind; // -> "arrayOf"
+ */
+export function getSchemaNode(schema) {
+    expectFunction(schema);
+    return schemaNodesByPredicate.get(schema);
+}
+
+/**
+ * @private
+ * @template {Function} F
+ * @param {F} predicate
+ * @param {SchemaNode & Record<string, any>} node
+ * @returns {F} The given predicate.
+ */
+const registerSchema = (predicate, node) => {
+    schemaNodesByPredicate.set(predicate, Object.freeze(node));
+    return predicate;
+};
+
+/**
+ * @private
+ * @param {Function[]} schemas
+ */
+const expectKnownPredicates = (schemas) => {
+    expectFunctions(schemas);
+    for (const schema of schemas) getDescription(schema);
+};
+
+/**
+ * Creates a schema matching every array whose elements all match the given
+ * schema.
+ * @param {Function} schema - A predicate or another schema.
+ * @returns {function(any): boolean}
+ * @example arrayOf(isString)(["a", "b"]); // -> true
+ */
+export function arrayOf(schema) {
+    expectKnownPredicates([schema]);
+    return registerSchema(function isArrayOf(arg) {
+        return Array.isArray(arg) && arg.every((x) => schema(x));
+    }, {
+        kind: "arrayOf",
+        description: `an 'Array' object where every element is ${getDescription(schema)}`,
+        schema,
+    });
+}
+
+/**
+ * Creates a schema matching every value which matches all the given schemas.
+ * @param {...Function} schemas - Predicates or other schemas.
+ * @returns {function(any): boolean}
+ * @example intersection(isSafeInteger, isStrictlyPositiveNumber)(1); // -> true
+ */
+export function intersection(...schemas) {
+    expectNonEmptyArray(schemas);
+    expectKnownPredicates(schemas);
+    return registerSchema(function isIntersection(arg) {
+        return schemas.every((schema) => schema(arg));
+    }, {
+        kind: "intersection",
+        description: formatList(schemas.map(getDescription), "and"),
+        schemas: Object.freeze(schemas),
+    });
+}
+
+/**
+ * Creates a schema matching every string or array-like object which matches
+ * the given schema and whose length is within the given bounds.
+ * - The length of strings is their number of code points.
+ * @param {Function} schema - A predicate or another schema.
+ * @param {object} options
+ * @param {uint} [options.min]
+ * @param {uint} [options.max]
+ * @returns {function(any): boolean}
+ * @example length(isString, { min: 1, max: 64 })("abc"); // -> true
+ */
+export function length(schema, { min = undefined, max = undefined } = {}) {
+    expectKnownPredicates([schema]);
+    if (min !== undefined) expectPositiveInteger(min);
+    if (max !== undefined) expectPositiveInteger(max);
+    if (min === undefined && max === undefined) {
+        throwNewTypeError("at least one of the 'min' and 'max' options", length);
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+        throw new RangeError("expected 'min' to be lower than or equal to 'max'.");
+    }
+    let phrase = `of length at least ${min}`;
+    if (min === undefined) phrase = `of length at most ${max}`;
+    else if (min === max) phrase = `of length ${min}`;
+    else if (max !== undefined) phrase = `of length between ${min} and ${max}`;
+    return registerSchema(function hasLength(arg) {
+        if (!schema(arg)) return false;
+        let n = NaN;
+        if (typeof arg === "string") n = [...arg].length;
+        else if (isArrayLikeObject(arg)) n = arg.length;
+        return (min === undefined || n >= min) && (max === undefined || n <= max);
+    }, {
+        kind: "length",
+        description: `${getDescription(schema)} ${phrase}`,
+        schema,
+        min,
+        max,
+    });
+}
+
+/**
+ * Creates a schema matching only the given value, using 'Object.is()'.
+ * @param {any} value
+ * @returns {function(any): boolean}
+ * @example literal("GET")("GET"); // -> true
+ */
+export function literal(value) {
+    return registerSchema(function isLiteral(arg) {
+        return Object.is(arg, value);
+    }, {
+        kind: "literal",
+        description: `the value ${formatValue(value)}`,
+        value,
+    });
+}
+
+/**
+ * Tells whether a number is an integral multiple of a divisor, up to the
+ * rounding error of their division, so that 0.3 is a multiple of 0.1.
+ * @private
+ * @param {number} x
+ * @param {number} divisor
+ * @returns {boolean}
+ */
+const isMultiple = (x, divisor) => {
+    const quotient = x / divisor;
+    if (!Number.isFinite(quotient)) return false;
+    const error = Math.abs(quotient - Math.round(quotient));
+    return error <= Number.EPSILON * Math.max(1, Math.abs(quotient));
+};
+
+/**
+ * Creates a schema matching every number which matches the given schema and
+ * is an integral multiple of the given divisor.
+ * - Decimal divisors are supported despite floating-point rounding, e.g.
+ * 0.3 is a multiple of 0.1.
+ * @param {Function} schema - A predicate or another schema.
+ * @param {number} divisor - A strictly positive number.
+ * @returns {function(any): boolean}
+ * @example multipleOf(isSafeInteger, 5)(15); // -> true
+ */
+export function multipleOf(schema, divisor) {
+    expectKnownPredicates([schema]);
+    expectStrictlyPositiveNumber(divisor);
+    expectRegularNumber(divisor);
+    return registerSchema(function isMultipleOf(arg) {
+        return schema(arg) && typeof arg === "number" && isMultiple(arg, divisor);
+    }, {
+        kind: "multipleOf",
+        description: `${getDescription(schema)} which is a multiple of ${divisor}`,
+        schema,
+        divisor,
+    });
+}
+
+/**
+ * Creates a schema matching only the given values, using 'Object.is()'.
+ * - Unlike a union of literals, the values stay readable as a list.
+ * @param {...any} values
+ * @returns {function(any): boolean}
+ * @example oneOf("GET", "HEAD", "POST")("HEAD"); // -> true
+ */
+export function oneOf(...values) {
+    expectNonEmptyArray(values);
+    const formattedValues = values.map(formatValue);
+    return registerSchema(function isOneOf(arg) {
+        return values.some((value) => Object.is(arg, value));
+    }, {
+        kind: "oneOf",
+        description: (values.length === 1
+            ? `the value ${formattedValues[0]}`
+            : `one of the values ${formatList(formattedValues, "or")}`),
+        values: Object.freeze(values),
+    });
+}
+
+/**
+ * Creates a schema matching 'undefined' as well as every value matching the
+ * given schema.
+ * - When used as a property schema in 'shape()', the property may also be
+ * missing.
+ * @param {Function} schema - A predicate or another schema.
+ * @returns {function(any): boolean}
+ */
+export function optional(schema) {
+    expectKnownPredicates([schema]);
+    return registerSchema(function isOptional(arg) {
+        return arg === undefined || schema(arg);
+    }, {
+        kind: "optional",
+        description: `either ${getDescription(schema)} or 'undefined'`,
+        schema,
+    });
+}
+
+/**
+ * Creates a schema matching every string which matches the given schema and
+ * the given regular expression.
+ * - The 'g' and 'y' flags are ignored, so that matching is stateless.
+ * @param {Function} schema - A predicate or another schema.
+ * @param {RegExp} regExp
+ * @returns {function(any): boolean}
+ * @example pattern(isString, /^[a-z-]+$/)("kebab-case"); // -> true
+ */
+export function pattern(schema, regExp) {
+    expectKnownPredicates([schema]);
+    expectRegExp(regExp);
+    const statelessRegExp = toStatelessRegExp(regExp);
+    return registerSchema(function matchesPattern(arg) {
+        return schema(arg) && typeof arg === "string" && statelessRegExp.test(arg);
+    }, {
+        kind: "pattern",
+        description: `${getDescription(schema)} matching ${statelessRegExp}`,
+        schema,
+        regExp: statelessRegExp,
+    });
+}
+
+/**
+ * Creates a schema matching every number which matches the given schema and
+ * is within the given bounds.
+ * @param {Function} schema - A predicate or another schema.
+ * @param {object} options
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @param {boolean} [options.exclusiveMin] - Whether 'min' itself is excluded.
+ * @param {boolean} [options.exclusiveMax] - Whether 'max' itself is excluded.
+ * @returns {function(any): boolean}
+ * @example
+ * const isPort = range(isSafeInteger, { min: 1, max: 65535 });
+ * getDescription(isPort);
+ * // -> "a safe integer greater than or equal to 1 and lower than or equal to 65535"
+ */
+export function range(schema, {
+    min = undefined,
+    max = undefined,
+    exclusiveMin = false,
+    exclusiveMax = false,
+} = {}) {
+    expectKnownPredicates([schema]);
+    if (min !== undefined) expectRegularNumber(min);
+    if (max !== undefined) expectRegularNumber(max);
+    expectBoolean(exclusiveMin);
+    expectBoolean(exclusiveMax);
+    if (min === undefined && max === undefined) {
+        throwNewTypeError("at least one of the 'min' and 'max' options", range);
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+        throw new RangeError("expected 'min' to be lower than or equal to 'max'.");
+    }
+    const phrases = [];
+    if (min !== undefined) {
+        phrases.push(exclusiveMin ? `greater than ${min}` : `greater than or equal to ${min}`);
+    }
+    if (max !== undefined) {
+        phrases.push(exclusiveMax ? `lower than ${max}` : `lower than or equal to ${max}`);
+    }
+    return registerSchema(function isInRange(arg) {
+        if (!schema(arg) || typeof arg !== "number") return false;
+        if (min !== undefined && (exclusiveMin ? arg <= min : arg < min)) return false;
+        return max === undefined || (exclusiveMax ? arg < max : arg <= max);
+    }, {
+        kind: "range",
+        description: `${getDescription(schema)} ${phrases.join(" and ")}`,
+        schema,
+        min,
+        max,
+        exclusiveMin,
+        exclusiveMax,
+    });
+}
+
+/**
+ * Creates a schema matching every plain object whose own enumerable string
+ * keys and property values match the given schemas.
+ * @param {Function} valueSchema - A predicate or another schema.
+ * @param {Function} [keySchema] - A predicate or another schema.
+ * @returns {function(any): boolean}
+ * @example record(isSafeInteger)({ "a": 1, "b": 2 }); // -> true
+ */
+export function record(valueSchema, keySchema = isString) {
+    expectKnownPredicates([valueSchema, keySchema]);
+    const valueDescription = getDescription(valueSchema);
+    return registerSchema(function isRecord(arg) {
+        if (!isPlainObject(arg)) return false;
+        for (const key of Object.keys(arg)) {
+            if (!keySchema(key) || !valueSchema(arg[key])) return false;
+        }
+        return true;
+    }, {
+        kind: "record",
+        description: (keySchema === isString
+            ? `a plain object where every property value is ${valueDescription}`
+            : `a plain object where every key is ${getDescription(keySchema)} and every property value is ${valueDescription}`),
+        keySchema,
+        schema: valueSchema,
+    });
+}
+
+/**
+ * Creates a schema matching every value which matches the given schema and
+ * passes the given test.
+ * @param {Function} schema - A predicate or another schema.
+ * @param {function(any): boolean} test - Only called with values matching
+ *   the given schema.
+ * @param {string} description - A readable description of the refined type.
+ * @returns {function(any): boolean}
+ * @example
+ * const isEvenInteger = refine(isSafeInteger, (x) => x % 2 === 0, "an even integer");
+ */
+export function refine(schema, test, description) {
+    expectKnownPredicates([schema]);
+    expectFunction(test);
+    expectNonEmptyString(description);
+    return registerSchema(function isRefined(arg) {
+        return schema(arg) && test(arg) === true;
+    }, {
+        kind: "refine",
+        description,
+        schema,
+        test,
+    });
+}
+
+/**
+ * Creates a schema matching every plain object whose properties match the
+ * given property schemas.
+ * - Properties whose schema was built by 'optional()' may be missing.
+ * - Unless the 'exact' option is set, extra properties are allowed.
+ * @param {Record<string, Function>} propertySchemas
+ * @param {object} [options]
+ * @param {boolean} [options.exact] - Whether to reject unknown properties.
+ * @returns {function(any): boolean}
+ * @example
+ * const isServerConfig = shape({
+ *     host: isNonEmptyString,
+ *     port: isPositiveInteger,
+ *     tags: optional(arrayOf(isString)),
+ * });
+ * const expectServerConfig = makeExpectation(isServerConfig);
+ */
+export function shape(propertySchemas, options = { exact: false }) {
+    expectPlainObject(propertySchemas);
+    expectPlainObject(options);
+    const exact = options.exact ?? false;
+    expectBoolean(exact);
+    const properties = Object.assign(Object.create(null), propertySchemas);
+    const keys = Object.keys(properties);
+    expectKnownPredicates(keys.map((key) => properties[key]));
+    const isOptionalKey = (key) => schemaNodesByPredicate.get(properties[key])?.kind === "optional";
+    const quotedKeys = keys.map((key) => `'${key}'`);
+    return registerSchema(function isShape(arg) {
+        if (!isPlainObject(arg)) return false;
+        for (const key of keys) {
+            // Inherited properties, like 'toString', are missing properties.
+            const isPresent = Object.hasOwn(arg, key);
+            if (!isPresent && isOptionalKey(key)) continue;
+            if (!properties[key](isPresent ? arg[key] : undefined)) return false;
+        }
+        if (exact) {
+            for (const key of Object.keys(arg)) {
+                if (!(key in properties)) return false;
+            }
+        }
+        return true;
+    }, {
+        kind: "shape",
+        description: (keys.length === 0
+            ? "a plain object"
+            : `a plain object with ${keys.length === 1 ? "the property" : "the properties"} ${formatList(quotedKeys, "and")}`),
+        exact,
+        properties: Object.freeze(properties),
+    });
+}
+
+/**
+ * Creates a schema matching every array of the same length as the given
+ * schemas, whose elements match the schema at the same index.
+ * @param {...Function} schemas - Predicates or other schemas.
+ * @returns {function(any): boolean}
+ * @example tuple(isString, isSafeInteger)(["a", 1]); // -> true
+ */
+export function tuple(...schemas) {
+    expectKnownPredicates(schemas);
+    return registerSchema(function isTuple(arg) {
+        return (Array.isArray(arg)
+            && arg.length === schemas.length
+            && schemas.every((schema, i) => schema(arg[i])));
+    }, {
+        kind: "tuple",
+        description: `an 'Array' object of ${schemas.length} elements: ${formatList(schemas.map(getDescription), "and")}`,
+        schemas: Object.freeze(schemas),
+    });
+}
+
+/**
+ * Creates a schema matching every value which matches at least one of the
+ * given schemas.
+ * @param {...Function} schemas - Predicates or other schemas.
+ * @returns {function(any): boolean}
+ * @example union(isString, literal(null))(null); // -> true
+ */
+export function union(...schemas) {
+    expectNonEmptyArray(schemas);
+    expectKnownPredicates(schemas);
+    const descriptions = schemas.map(getDescription);
+    return registerSchema(function isUnion(arg) {
+        return schemas.some((schema) => schema(arg));
+    }, {
+        kind: "union",
+        description: (descriptions.length === 1
+            ? descriptions[0]
+            : `either ${formatList(descriptions, "or")}`),
+        schemas: Object.freeze(schemas),
+    });
+}
+
+/**
+ * Returns a short name for the type of a value, suitable for error messages.
+ * - Primitive values give their 'typeof' type, or "null".
+ * - Objects give their tag, e.g. "Array" or "Date".
+ * @param {any} arg
+ * @returns {string}
+ */
+export function getTypeName(arg) {
+    if (arg === null) return "null";
+    if (isPrimitive(arg)) return typeof arg;
+    return getTag(arg);
+}
+
+/**
+ * @private
+ * @param {string} path
+ * @param {PropertyKey} key
+ * @returns {string}
+ */
+const joinPath = (path, key) => {
+    if (typeof key === "number") return `${path}[${key}]`;
+    if (typeof key === "string" && /^[A-Za-z_$][\w$]*$/.test(key)) return `${path}.${key}`;
+    return `${path}[${JSON.stringify(String(key))}]`;
+};
+
+/**
+ * @private
+ * @param {Function} schema
+ * @param {any} value
+ * @param {string} path
+ * @param {ValidationFailure[]} failures
+ */
+const collectFailures = (schema, value, path, failures) => {
+    const node = schemaNodesByPredicate.get(schema);
+    const fail = () => {
+        failures[failures.length] = {
+            path,
+            expected: getDescription(schema),
+            received: getTypeName(value),
+        };
+    };
+    switch (node?.kind) {
+        case "arrayOf": {
+            if (!Array.isArray(value)) return fail();
+            for (let i = 0; i < value.length; i++) {
+                collectFailures(node.schema, value[i], joinPath(path, i), failures);
+            }
+            return undefined;
+        }
+        case "intersection": {
+            for (const x of node.schemas) collectFailures(x, value, path, failures);
+            return undefined;
+        }
+        case "optional": {
+            if (value === undefined) return undefined;
+            return collectFailures(node.schema, value, path, failures);
+        }
+        case "record": {
+            if (!isPlainObject(value)) return fail();
+            for (const key of Object.keys(value)) {
+                const keyPath = joinPath(path, key);
+                if (!node.keySchema(key)) {
+                    failures[failures.length] = {
+                        path: keyPath,
+                        expected: `a key which is ${getDescription(node.keySchema)}`,
+                        received: getTypeName(key),
+                    };
+                }
+                collectFailures(node.schema, value[key], keyPath, failures);
+            }
+            return undefined;
+        }
+        case "length":
+        case "multipleOf":
+        case "pattern":
+        case "range":
+        case "refine": {
+            const count = failures.length;
+            collectFailures(node.schema, value, path, failures);
+            if (failures.length === count && !schema(value)) fail();
+            return undefined;
+        }
+        case "shape": {
+            if (!isPlainObject(value)) return fail();
+            for (const key of Object.keys(node.properties)) {
+                const propertySchema = node.properties[key];
+                const isOptional = schemaNodesByPredicate.get(propertySchema)?.kind === "optional";
+                const isPresent = Object.hasOwn(value, key);
+                if (!isPresent && isOptional) continue;
+                const propertyValue = isPresent ? value[key] : undefined;
+                collectFailures(propertySchema, propertyValue, joinPath(path, key), failures);
+            }
+            if (node.exact) {
+                for (const key of Object.keys(value)) {
+                    if (key in node.properties) continue;
+                    failures[failures.length] = {
+                        path: joinPath(path, key),
+                        expected: "no such property",
+                        received: getTypeName(value[key]),
+                    };
+                }
+            }
+            return undefined;
+        }
+        case "tuple": {
+            if (!Array.isArray(value) || value.length !== node.schemas.length) return fail();
+            for (let i = 0; i < value.length; i++) {
+                collectFailures(node.schemas[i], value[i], joinPath(path, i), failures);
+            }
+            return undefined;
+        }
+        default: {
+            if (!schema(value)) fail();
+            return undefined;
+        }
+    }
+};
+
+/**
+ * Validates a value against a schema and lists every failure found,
+ * instead of stopping at the first one.
+ * @param {Function} schema - A predicate or a schema.
+ * @param {any} value
+ * @returns {ValidationFailure[]} An empty array if the value is valid.
+ * @example
+ * validate(shape({ port: isPositiveInteger }), { port: "80" });
+ * // -> [{ path: "$.port", expected: "a positive integer", received: "string" }]
+ */
+export function validate(schema, value) {
+    expectKnownPredicates([schema]);
+    /** @type {ValidationFailure[]} */
+    const failures = [];
+    collectFailures(schema, value, "$", failures);
+    return failures;
+}
+
+/**
+ * Creates an 'expect*'-style function from a predicate or a schema,
+ * which throws a single 'ValidationError' listing every failure.
+ * @param {Function} schema - A predicate or a schema.
+ * @returns {function(any): void}
+ * @example
+ * const validatePlainObjects = makeValidation(arrayOf(isPlainObject));
+ * validatePlainObjects([{}, [], {}]);
+ * // ValidationError: found 1 validation failure:
+ * // - $[1]: expected a plain object, got Array.
+ */
+export function makeValidation(schema) {
+    expectKnownPredicates([schema]);
+    return function validation(arg) {
+        const failures = validate(schema, arg);
+        if (failures.length !== 0) {
+            throwNewValidationError(failures, validation, {
+                expected: getDescription(schema),
+                expectedType: getPredicateTypeName(schema),
+                received: arg,
+            });
+        }
+    };
+}
@@ -9,6 +9,7 @@ type ArrayPredicate<T> = (element: T, index?: index, source?: T[]) => boolean
 type ArrayReducer<T, U> = (acc: U, element: T, index?: index, source?: ArrayLike<T>) => U
 type ArraySortFunction<T> = (a: T, b: T) => number
 type BareObject<V> = Record<PropertyKey, V>
+type Expectation<T> = (arg: any) => asserts arg is T
 type List<T> = ArrayLike<T>;
 type MapCallback<K, V> = (value: V, key?: K, map?: Map<K, V>) => void
 
@@ -16,4 +17,5 @@ type Mutable<T> = T & {-readonly[P in keyof T]: T[P]}
 type MutableArrayLike<T> = Mutable<ArrayLike<T>>
 type NonPrimitive = object
 type NumberPropertyKeys<T> = { [K in keyof T]: T[K] extends number ? K : never }[keyof T];
+type PluralExpectation<T> = (values: any) => asserts values is ArrayLike<T>
 type Predicate<T> = (arg: T) => boolean
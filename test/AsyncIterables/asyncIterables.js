@@ -0,0 +1,124 @@
+/* eslint-env node, mocha */
+"use strict";
+
+const AsyncIterables = require("../../cjs/AsyncIterables");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'AsyncIterables.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function* generate(values, ms = 0) {
+	for(const x of values) {
+		await delay(ms);
+		yield x;
+	}
+}
+
+async function toArray(asyncIterable) {
+	const rv = [];
+
+	for await (const x of asyncIterable) rv.push(x);
+	return rv;
+}
+
+it("AsyncIterables", async () => {
+	const testCases = [
+		["chunk", () => toArray(AsyncIterables.chunk(generate([1, 2, 3, 4, 5]), 2)), [[1, 2], [3, 4], [5]]],
+		["filter", () => toArray(AsyncIterables.filter([1, 2, 3, 4], async (x) => x % 2 === 0)), [2, 4]],
+		["group", () => toArray(AsyncIterables.group(generate("aabccc"))), [["a", "a"], ["b"], ["c", "c", "c"]]],
+		["map", () => toArray(AsyncIterables.map(generate([1, 2, 3]), async (x, i) => x * 10 + i)), [10, 21, 32]],
+		["take", () => AsyncIterables.take(generate([1, 2, 3]), 2), [1, 2]],
+		["take", () => AsyncIterables.take(generate([1]), 3), [1]],
+		["takeWhile", () => AsyncIterables.takeWhile(generate([1, 2, 3, 1]), (x) => x < 3), [1, 2]],
+		["zip", () => toArray(AsyncIterables.zip([generate([1, 2, 3]), "ab"])), [[1, "a"], [2, "b"]]],
+		["buffer", () => toArray(AsyncIterables.buffer(generate([1, 2, 3]), 2)), [1, 2, 3]],
+	];
+
+	for(const [name, fn, expected] of testCases) {
+		const actual = await fn();
+
+		if(JSON.stringify(actual) !== JSON.stringify(expected)) warn(name, expected, actual);
+	}
+});
+
+it("AsyncIterables.mapConcurrent()", async () => {
+	let runningCount = 0;
+	let maxRunningCount = 0;
+	const results = await toArray(AsyncIterables.mapConcurrent([30, 10, 20, 0, 10], async (ms) => {
+		runningCount++;
+		maxRunningCount = Math.max(maxRunningCount, runningCount);
+		await delay(ms);
+		runningCount--;
+		return ms;
+	}, {"concurrency": 2}));
+
+	if(JSON.stringify(results) !== "[30,10,20,0,10]") warn("mapConcurrent", [30, 10, 20, 0, 10], results);
+	if(maxRunningCount !== 2) warn("mapConcurrent", 2, maxRunningCount);
+
+	const error = await toArray(AsyncIterables.mapConcurrent([1, 2], async (x) => {
+		if(x === 2) throw new Error("two");
+		return x;
+	})).catch((e) => e.message);
+
+	if(error !== "two") warn("mapConcurrent", "two", error);
+
+	// A slow source does not delay the results which are already available.
+	const start = Date.now();
+	const jobSignals = [];
+
+	for await (const x of AsyncIterables.mapConcurrent(generate([1, 2, 3, 4, 5], 50), (value, i, signal) => {
+		jobSignals.push(signal);
+		return value === 1 ? value : new Promise(() => {});
+	}, {"concurrency": 4})) {
+		const elapsed = Date.now() - start;
+
+		if(x !== 1 || elapsed >= 100) warn("mapConcurrent", "1 after about 50 ms", `${x} after ${elapsed} ms`);
+		break;
+	}
+	if(!jobSignals.every((signal) => signal.aborted)) warn("mapConcurrent", "aborted signals", jobSignals);
+});
+
+it("AsyncIterables.merge()", async () => {
+	const merged = await toArray(AsyncIterables.merge([generate(["a1", "a2"], 15), generate(["b1", "b2", "b3"], 10)]));
+	const sorted = [...merged].sort();
+
+	if(JSON.stringify(sorted) !== "[\"a1\",\"a2\",\"b1\",\"b2\",\"b3\"]") warn("merge", ["a1", "a2", "b1", "b2", "b3"], merged);
+	if(merged[0] !== "b1") warn("merge", "b1", merged[0]);
+});
+
+it("AsyncIterables with an AbortSignal", async () => {
+	const controller = new AbortController();
+	const never = {
+		[Symbol.asyncIterator]: () => ({"next": () => new Promise(() => {})}),
+	};
+	const promise = AsyncIterables.take(never, 1, {"signal": controller.signal});
+
+	controller.abort(new Error("stop"));
+	const reason = await promise.catch((e) => e.message);
+
+	if(reason !== "stop") warn("take", "stop", reason);
+
+	const values = [];
+	const mergeController = new AbortController();
+	const mergeReason = await (async () => {
+		for await (const x of AsyncIterables.merge([generate([1, 2, 3], 5), never], {"signal": mergeController.signal})) {
+			values.push(x);
+			if(x === 2) mergeController.abort(new Error("enough"));
+		}
+		return null;
+	})().catch((e) => e.message);
+
+	if(mergeReason !== "enough" || values.length !== 2) warn("merge", ["enough", [1, 2]], [mergeReason, values]);
+
+	const aborted = AbortSignal.abort(new Error("early"));
+	const earlyReason = await toArray(AsyncIterables.map([1], (x) => x, {"signal": aborted})).catch((e) => e.message);
+
+	if(earlyReason !== "early") warn("map", "early", earlyReason);
+});
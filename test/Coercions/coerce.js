@@ -0,0 +1,61 @@
+/* eslint-env node */
+"use strict";
+
+const {coerce, makeCoercion} = require("../../cjs/Coercions");
+const tc = require("../../cjs/tc");
+
+const isQuery = tc.shape({
+	"page": tc.isPositiveInteger,
+	"mask": tc.optional(tc.isSafeInteger),
+	"verbose": tc.isBoolean,
+	"since": tc.optional(tc.isDate),
+	"tags": tc.arrayOf(tc.isString),
+	"mode": tc.oneOf("fast", "slow", null),
+});
+
+const testCases = [
+	[
+		{"page": "2", "verbose": "yes", "tags": "a, b,c", "mode": "null"},
+		{"page": 2, "verbose": true, "tags": ["a", "b", "c"], "mode": null},
+		[],
+	],
+	[
+		{"page": "two", "mask": "0x1F", "verbose": "off", "tags": "", "mode": "fast"},
+		{"page": "two", "mask": 31, "verbose": false, "tags": [], "mode": "fast"},
+		["$.page"],
+	],
+	[
+		{"page": "1e3", "verbose": "maybe", "since": "2024-01-01", "tags": ["x"], "mode": "slower"},
+		{"page": 1000, "verbose": "maybe", "since": "2024-01-01T00:00:00.000Z", "tags": ["x"], "mode": "slower"},
+		["$.verbose", "$.mode"],
+	],
+];
+
+for(const [input, expectedValue, expectedPaths] of testCases) {
+	const {value, failures} = coerce(isQuery, input);
+	const actual = JSON.stringify([value, failures.map((failure) => failure.path)]);
+	const expected = JSON.stringify([expectedValue, expectedPaths]);
+
+	if(actual !== expected) {
+		console.warn(
+			"Test failed in 'Coercions.coerce()': for argument '%s', expected '%s', but got '%s'.",
+			JSON.stringify(input),
+			expected,
+			actual
+		);
+	}
+}
+
+const parsePorts = makeCoercion(tc.arrayOf(tc.range(tc.isSafeInteger, {"min": 1, "max": 65535})), {"separator": ";"});
+
+if(JSON.stringify(parsePorts("80;443")) !== "[80,443]") {
+	console.warn("Test failed in 'Coercions.makeCoercion()': could not convert '80;443'.");
+}
+try {
+	parsePorts("80;http");
+	console.warn("Test failed in 'Coercions.makeCoercion()': no error was thrown for '80;http'.");
+} catch(error) {
+	if(error.name !== "ValidationError" || error.failures[0].path !== "$[1]") {
+		console.warn("Test failed in 'Coercions.makeCoercion()': unexpected error '%s'.", error.message);
+	}
+}
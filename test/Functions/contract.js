@@ -0,0 +1,59 @@
+/* eslint-env node */
+"use strict";
+
+const {contract, setContractsEnabled} = require("../../cjs/Functions");
+const tc = require("../../cjs/tc");
+
+const add = contract(function add(x, y) {
+	return x + y;
+}, {
+	"params": {"x": tc.isNumber, "y": tc.isNumber},
+	"returns": tc.isSafeInteger,
+});
+
+const testCases = [
+	[[1, 2], ""],
+	[["1", 2], "expected argument 'x' (#0) of 'add' to be a number, got string."],
+	[[1], "expected argument 'y' (#1) of 'add' to be a number, got undefined."],
+	[[0.5, 0], "expected the return value of 'add' to be a safe integer, got number."],
+];
+
+for(const [args, expected] of testCases) {
+	let actual = "";
+
+	try {
+		add(...args);
+	} catch(error) {
+		actual = error.message;
+	}
+	if(actual !== expected) {
+		console.warn(
+			"Test failed in 'Functions.contract()': for arguments '%s', expected '%s', but got '%s'.",
+			JSON.stringify(args),
+			expected,
+			actual
+		);
+	}
+}
+
+if(add.name !== "add" || add.length !== 2) {
+	console.warn(
+		"Test failed in 'Functions.contract()': expected name 'add' and length 2, but got '%s' and %d.",
+		add.name,
+		add.length
+	);
+}
+
+setContractsEnabled(false);
+if(add("1", 2) !== "12") {
+	console.warn("Test failed in 'Functions.setContractsEnabled()': contracts were still checked.");
+}
+setContractsEnabled(true);
+
+try {
+	add(1, "2");
+} catch(error) {
+	if(error.code !== tc.ErrorCodes.CONTRACT_ARGUMENT || error.parameter !== "y" || error.position !== 1) {
+		console.warn("Test failed in 'Functions.contract()': unexpected error details '%s'.", JSON.stringify(error));
+	}
+}
@@ -0,0 +1,59 @@
+"use strict";
+
+const {curry, partial, partialRight, pipe, placeholder: _, withArity} = require("../../cjs/Functions");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Functions.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+function getErrorCode(fn) {
+	try {
+		fn();
+	} catch(error) {
+		return error.code;
+	}
+	return null;
+}
+
+function join3(a, b, c) {
+	return [a, b, c].join("-");
+}
+
+const testCases = [
+	["curry", () => curry(join3)("a")("b")("c"), "a-b-c"],
+	["curry", () => curry(join3)("a", "b")("c"), "a-b-c"],
+	["curry", () => curry(join3)("a", "b", "c", "d"), "a-b-c"],
+	["curry", () => curry(join3)(_, "b")(_, "c")("a"), "a-b-c"],
+	["curry", () => curry(join3).length, 3],
+	["curry", () => curry(join3)("a").length, 2],
+	["curry", () => curry(join3)(_, "b").length, 2],
+	["curry", () => curry(join3).name, "curried join3"],
+	["curry", () => curry(withArity((...args) => args.length, 2))(1)(2), 2],
+	["curry", () => curry((...args) => args.join(""), 2)("a")("b"), "ab"],
+	["curry", () => getErrorCode(() => curry(null)), "ERR_TC_TYPE"],
+	["partial", () => partial(join3, "a")("b", "c"), "a-b-c"],
+	["partial", () => partial(join3, _, "b")("a", "c"), "a-b-c"],
+	["partial", () => partial(join3, _, "b", _)("a"), "a-b-"],
+	["partial", () => partial(join3, _, "b").length, 2],
+	["partial", () => partial(join3, "a", "b", "c", "d").length, 0],
+	["partial", () => partial(join3, "a").name, "partial join3"],
+	["partialRight", () => partialRight(join3, "c")("a", "b"), "a-b-c"],
+	["partialRight", () => partialRight(join3, _, "c")("a", "b"), "a-b-c"],
+	["partialRight", () => partialRight(join3, "b", "c").length, 1],
+	["partialRight", () => partialRight(join3, "c").name, "partialRight join3"],
+	["pipe", () => pipe(Math.max, (x) => x * 2, String)(1, 5, 2), "10"],
+	["pipe", () => pipe(join3, (x) => x.toUpperCase()).length, 3],
+	["pipe", () => pipe(join3, String).name, "piped join3, String"],
+	["withArity", () => withArity(join3, 2).length, 2],
+];
+
+for(const [name, fn, expected] of testCases) {
+	const actual = fn();
+
+	if(actual !== expected) warn(name, expected, actual);
+}
@@ -0,0 +1,108 @@
+/* eslint-env node, mocha */
+"use strict";
+
+const {createManualScheduler, debounce, rateLimit, throttle} = require("../../cjs/Functions");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Functions.%s()': expected calls '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+/**
+ * Calls the wrapper at the given times, then returns the times of the calls
+ * of the wrapped function with their argument.
+ */
+function record(createWrapper, callTimes, endTime) {
+	const scheduler = createManualScheduler();
+	const calls = [];
+	const wrapper = createWrapper((x) => calls.push([scheduler.now(), x]), scheduler);
+
+	for(const time of callTimes) {
+		scheduler.advance(time - scheduler.now());
+		wrapper(time);
+	}
+	scheduler.advance(endTime - scheduler.now());
+	return calls;
+}
+
+const testCases = [
+	[
+		"debounce",
+		(fn, scheduler) => debounce(fn, 100, {scheduler}),
+		[0, 50, 120, 300],
+		[[220, 120], [400, 300]],
+	],
+	[
+		"debounce",
+		(fn, scheduler) => debounce(fn, 100, {"leading": true, "trailing": false, scheduler}),
+		[0, 50, 120, 300],
+		[[0, 0], [300, 300]],
+	],
+	[
+		"debounce",
+		(fn, scheduler) => debounce(fn, 100, {"maxWait": 150, scheduler}),
+		[0, 60, 120, 180, 240],
+		[[150, 120], [300, 240]],
+	],
+	[
+		"throttle",
+		(fn, scheduler) => throttle(fn, 100, {scheduler}),
+		[0, 20, 40, 150],
+		[[0, 0], [100, 40], [150, 150]],
+	],
+];
+
+for(const [name, createWrapper, callTimes, expected] of testCases) {
+	const actual = record(createWrapper, callTimes, 1000);
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn(name, expected, actual);
+}
+
+const scheduler = createManualScheduler();
+const calls = [];
+const save = debounce((x) => calls.push(x), 100, {scheduler});
+
+save(1);
+if(!save.pending() || save.flush() !== 1 || save.pending()) {
+	console.warn("Test failed in 'Functions.debounce()': 'flush()' did not make the pending call.");
+}
+save(2);
+save.cancel();
+scheduler.advance(200);
+if(JSON.stringify(calls) !== "[1]") warn("debounce", [1], calls);
+
+it("Functions.rateLimit()", async () => {
+	const rateScheduler = createManualScheduler();
+	const times = [];
+	const limited = rateLimit(() => times.push(rateScheduler.now()), {
+		"limit": 2,
+		"interval": 100,
+		"scheduler": rateScheduler,
+	});
+	const promises = [1, 2, 3, 4, 5].map(() => limited());
+
+	rateScheduler.advance(100);
+	if(!limited.pending()) {
+		console.warn("Test failed in 'Functions.rateLimit()': the fifth call is not pending.");
+	}
+	limited.cancel();
+	const results = await Promise.allSettled(promises);
+	const statuses = results.map((x) => x.status);
+
+	if(JSON.stringify(times) !== "[0,0,50,100]") warn("rateLimit", [0, 0, 50, 100], times);
+	if(statuses[4] !== "rejected") {
+		console.warn("Test failed in 'Functions.rateLimit()': the cancelled call was not rejected.");
+	}
+	try {
+		rateLimit(() => undefined);
+		console.warn("Test failed in 'Functions.rateLimit()': missing options were accepted.");
+	} catch(error) {
+		if(error.code !== "ERR_TC_TYPE") {
+			console.warn("Test failed in 'Functions.rateLimit()': expected a tc error, but got '%s'.", error.message);
+		}
+	}
+});
@@ -0,0 +1,99 @@
+/* eslint-env node */
+"use strict";
+
+const {
+	getMemoStats,
+	invalidate,
+	isMemoized,
+	memoize,
+	restoreMemo,
+	snapshotMemo,
+	unmemoize,
+} = require("../../cjs/Functions");
+
+let now = 0;
+let calls = [];
+const square = (x) => {
+	calls.push(x);
+	return x * x;
+};
+const memoizedSquare = memoize(square, {"maxSize": 2, "ttl": 100, "clock": () => now});
+
+const testCases = [
+	// [time, argument, expected calls]
+	[0, 1, [1]],
+	[0, 1, []],
+	[0, 2, [2]],
+	[0, 1, []],
+	[0, 3, [3]], // Evicts 2, the least recently used entry.
+	[0, 2, [2]],
+	[50, 2, []],
+	[150, 2, [2]], // The entry expired.
+];
+
+for(const [time, arg, expected] of testCases) {
+	now = time;
+	calls = [];
+	memoizedSquare(arg);
+	if(JSON.stringify(calls) !== JSON.stringify(expected)) {
+		console.warn(
+			"Test failed in 'Functions.memoize()': at %d ms, for argument %d, expected calls '%s', but got '%s'.",
+			time,
+			arg,
+			JSON.stringify(expected),
+			JSON.stringify(calls)
+		);
+	}
+}
+
+calls = [];
+if(!invalidate(memoizedSquare, 2) || invalidate(memoizedSquare, 2)) {
+	console.warn("Test failed in 'Functions.invalidate()': unexpected return value.");
+}
+memoizedSquare(2);
+if(calls.length !== 1) {
+	console.warn("Test failed in 'Functions.invalidate()': the entry was not removed.");
+}
+if(unmemoize(memoizedSquare) !== square || isMemoized(memoizedSquare) || isMemoized(square)) {
+	console.warn("Test failed in 'Functions.unmemoize()'.");
+}
+
+now = 0;
+const memoizedDouble = memoize((x) => x * 2, {"maxSize": 2, "ttl": 100, "clock": () => now});
+
+[1, 1, 2, 3, 3].forEach((x) => memoizedDouble(x));
+const stats = getMemoStats(memoizedDouble);
+const expectedStats = {"hits": 2, "misses": 3, "evictions": 1, "expirations": 0, "size": 2, "keys": ["[2]", "[3]"]};
+
+if(JSON.stringify(stats) !== JSON.stringify(expectedStats)) {
+	console.warn(
+		"Test failed in 'Functions.getMemoStats()': expected '%s', but got '%s'.",
+		JSON.stringify(expectedStats),
+		JSON.stringify(stats)
+	);
+}
+
+const snapshot = JSON.parse(JSON.stringify(snapshotMemo(memoizedDouble)));
+const expectedSnapshot = {"entries": [["[2]", 4, 100], ["[3]", 6, 100]]};
+
+if(JSON.stringify(snapshot) !== JSON.stringify(expectedSnapshot)) {
+	console.warn(
+		"Test failed in 'Functions.snapshotMemo()': expected '%s', but got '%s'.",
+		JSON.stringify(expectedSnapshot),
+		JSON.stringify(snapshot)
+	);
+}
+
+let restoredCalls = 0;
+const restoredDouble = memoize((x) => {
+	restoredCalls++;
+	return x * 2;
+}, {"clock": () => now});
+
+restoreMemo(restoredDouble, snapshot);
+restoredDouble(2);
+now = 100;
+restoredDouble(3);
+if(restoredCalls !== 1) {
+	console.warn("Test failed in 'Functions.restoreMemo()': expected 1 call, but got %d.", restoredCalls);
+}
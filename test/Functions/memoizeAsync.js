@@ -0,0 +1,102 @@
+/* eslint-env node, mocha */
+"use strict";
+
+const {memoize, memoizeAsync, restoreMemo, snapshotMemo} = require("../../cjs/Functions");
+
+function warn(message) {
+	console.warn(`Test failed in 'Functions.memoizeAsync()': ${message}`);
+}
+
+async function testDeduplication() {
+	let calls = 0;
+	const load = memoizeAsync(async (x) => {
+		calls++;
+		if(x < 0) throw new RangeError("negative");
+		return x * 2;
+	});
+	const results = await Promise.all([load(1), load(1), load(2)]);
+
+	if(JSON.stringify(results) !== "[2,2,4]" || calls !== 2) {
+		warn(`expected 2 calls for results [2,2,4], got ${calls} calls for ${JSON.stringify(results)}.`);
+	}
+	await load(-1).catch(() => undefined);
+	await load(-1).catch(() => undefined);
+	if(calls !== 4) warn("a rejected promise was cached.");
+}
+
+async function testStaleWhileRevalidate() {
+	let now = 0;
+	let version = 0;
+	const load = memoizeAsync(async () => ++version, {
+		"ttl": 100,
+		"staleWhileRevalidate": 50,
+		"clock": () => now,
+	});
+	const values = [await load()];
+
+	now = 120;
+	values.push(await load());
+	// Lets the background revalidation settle.
+	await new Promise(setImmediate);
+	values.push(await load());
+	now = 500;
+	values.push(await load());
+	if(JSON.stringify(values) !== "[1,1,2,3]") {
+		warn(`expected values [1,1,2,3], got ${JSON.stringify(values)}.`);
+	}
+}
+
+async function testAbortSignal() {
+	const controller = new AbortController();
+	let calls = 0;
+	const load = memoizeAsync(() => {
+		calls++;
+		return new Promise(() => undefined);
+	}, {"signal": controller.signal});
+	const promise = load(1);
+
+	controller.abort(new Error("stopped"));
+	const reasons = await Promise.all([promise, load(1), load(2)].map((x) => x.catch((error) => error.message)));
+
+	if(JSON.stringify(reasons) !== "[\"stopped\",\"stopped\",\"stopped\"]") {
+		warn(`expected abort reasons, got ${JSON.stringify(reasons)}.`);
+	}
+	if(calls !== 1) warn(`expected the aborted function to stay disabled, got ${calls} calls.`);
+}
+
+async function testSnapshot() {
+	let now = 0;
+	const load = memoizeAsync(async (x) => x * 2, {"ttl": 100, "clock": () => now});
+
+	await load(1);
+	const snapshot = snapshotMemo(load);
+
+	if(JSON.stringify(snapshot) !== "{\"entries\":[[\"[1]\",2,100]]}") {
+		warn(`expected a snapshot of the cached values, got ${JSON.stringify(snapshot)}.`);
+	}
+	let calls = 0;
+	const restoredLoad = memoizeAsync(async (x) => {
+		calls++;
+		return x * 2;
+	}, {"ttl": 100, "clock": () => now});
+	const double = memoize((x) => x * 2);
+
+	double(2);
+	restoreMemo(restoredLoad, snapshotMemo(double));
+	restoreMemo(restoredLoad, snapshot);
+	const values = [await restoredLoad(1), await restoredLoad(2)];
+
+	// The restored entry expires when the snapshotted one did.
+	now = 100;
+	values.push(await restoredLoad(1));
+	if(JSON.stringify(values) !== "[2,4,2]" || calls !== 1) {
+		warn(`expected restored values [2,4,2] and 1 call, got ${JSON.stringify(values)} and ${calls} calls.`);
+	}
+}
+
+it("Functions.memoizeAsync()", async () => {
+	await testDeduplication();
+	await testStaleWhileRevalidate();
+	await testAbortSignal();
+	await testSnapshot();
+});
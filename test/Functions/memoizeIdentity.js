@@ -0,0 +1,65 @@
+/* eslint-env node */
+"use strict";
+
+const {getMemoStats, invalidate, memoize} = require("../../cjs/Functions");
+
+let calls = 0;
+const getKeys = memoize((object, prefix) => {
+	calls++;
+	return Object.keys(object).map((key) => `${prefix}${key}`);
+}, {"strategy": "identity"});
+
+const cyclic = {"a": 1};
+cyclic.self = cyclic;
+const twin = {"a": 1};
+
+const testCases = [
+	// [arguments, expected total calls]
+	[[cyclic, "$"], 1],
+	[[cyclic, "$"], 1],
+	[[cyclic, "#"], 2],
+	[[twin, "$"], 3],
+	[[twin, "$"], 3],
+	[[cyclic], 4],
+];
+
+for(const [args, expected] of testCases) {
+	getKeys(...args);
+	if(calls !== expected) {
+		console.warn(
+			"Test failed in 'Functions.memoize()' with the \"identity\" strategy: expected %d calls, but got %d.",
+			expected,
+			calls
+		);
+	}
+}
+
+// Entries with object arguments are collected with them, so they are not counted.
+if(!invalidate(getKeys, twin, "$") || invalidate(getKeys, twin, "$") || getMemoStats(getKeys).size !== 0) {
+	console.warn("Test failed in 'Functions.invalidate()' with the \"identity\" strategy.");
+}
+
+// Deleting an entry keeps the entries of other objects at the same position.
+getKeys(cyclic, "$");
+getKeys(cyclic);
+if(calls !== 4) {
+	console.warn("Test failed in 'Functions.invalidate()' with the \"identity\" strategy: other entries were deleted.");
+}
+
+let sumCalls = 0;
+const sum = memoize((a, b) => {
+	sumCalls++;
+	return a + b;
+}, {"strategy": "identity", "maxSize": 2});
+
+[[1, 2], [1, 3], [1, 2], [2, 2], [1, 2]].forEach((args) => sum(...args));
+const {size, evictions} = getMemoStats(sum);
+
+if(sumCalls !== 3 || size !== 2 || evictions !== 1) {
+	console.warn(
+		"Test failed in 'Functions.memoize()' with the \"identity\" strategy and 'maxSize': got %d calls, size %d and %d evictions.",
+		sumCalls,
+		size,
+		evictions
+	);
+}
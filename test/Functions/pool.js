@@ -0,0 +1,121 @@
+/* eslint-env node, mocha */
+"use strict";
+
+const {limitConcurrency, pool} = require("../../cjs/Functions");
+
+const settle = () => new Promise(setImmediate);
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Functions.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+function createJobs() {
+	const resolvers = [];
+	let runningCount = 0;
+	let maxRunningCount = 0;
+
+	return {
+		"run": (value) => new Promise((resolve) => {
+			runningCount++;
+			maxRunningCount = Math.max(maxRunningCount, runningCount);
+			resolvers.push(() => {
+				runningCount--;
+				resolve(value);
+			});
+		}),
+		"finishAll": async () => {
+			while(resolvers.length !== 0) {
+				resolvers.splice(0).forEach((resolve) => resolve());
+				await settle();
+			}
+		},
+		"getMaxRunningCount": () => maxRunningCount,
+	};
+}
+
+it("Functions.limitConcurrency()", async () => {
+	const jobs = createJobs();
+	const limited = limitConcurrency(jobs.run, 2);
+	const promises = [1, 2, 3, 4, 5].map((x) => limited(x));
+
+	await settle();
+	if(!limited.pending()) warn("limitConcurrency", true, limited.pending());
+	await jobs.finishAll();
+	const results = await Promise.all(promises);
+
+	if(JSON.stringify(results) !== "[1,2,3,4,5]") warn("limitConcurrency", [1, 2, 3, 4, 5], results);
+	if(jobs.getMaxRunningCount() !== 2) warn("limitConcurrency", 2, jobs.getMaxRunningCount());
+
+	const cancelled = limitConcurrency(() => new Promise(() => {}), 1);
+	cancelled();
+	const queued = cancelled().catch((error) => error.message);
+
+	cancelled.cancel();
+	const message = await queued;
+
+	if(message !== "The call was cancelled.") warn("limitConcurrency", "The call was cancelled.", message);
+});
+
+it("Functions.pool.map()", async () => {
+	const jobs = createJobs();
+
+	function* generate() {
+		for(let i = 0; i < 10; i++) yield i;
+	}
+
+	const promise = pool.map(generate(), (x, i) => jobs.run(x * 10 + i), {"concurrency": 3});
+
+	await jobs.finishAll();
+	const results = await promise;
+	const expected = [0, 11, 22, 33, 44, 55, 66, 77, 88, 99];
+
+	if(JSON.stringify(results) !== JSON.stringify(expected)) warn("pool.map", expected, results);
+	if(jobs.getMaxRunningCount() !== 3) warn("pool.map", 3, jobs.getMaxRunningCount());
+
+	let callCount = 0;
+	const firstError = await pool.map([1, 2, 3, 4], async (x) => {
+		callCount++;
+		if(x === 2) throw new Error("two");
+		return x;
+	}, {"concurrency": 1}).catch((error) => error.message);
+
+	if(firstError !== "two") warn("pool.map", "two", firstError);
+	if(callCount !== 2) warn("pool.map", 2, callCount);
+
+	const allErrors = await pool.map([1, 2, 3, 4], async (x) => {
+		if(x % 2 === 0) throw new Error(String(x));
+		return x;
+	}, {"collectErrors": true}).catch((error) => error.errors.map((x) => x.message));
+
+	if(JSON.stringify(allErrors) !== "[\"2\",\"4\"]") warn("pool.map", ["2", "4"], allErrors);
+
+	function* naturals() {
+		for(let i = 0; ; i++) yield i;
+	}
+
+	// With the default concurrency, an infinite iterable is read lazily.
+	const infiniteError = await pool.map(naturals(), async (x) => {
+		if(x === 10) throw new Error("ten");
+		return x;
+	}).catch((error) => error.message);
+
+	if(infiniteError !== "ten") warn("pool.map", "ten", infiniteError);
+
+	const controller = new AbortController();
+	let jobSignal = null;
+	const cancelled = pool.map([1, 2, 3], (x, i, signal) => {
+		jobSignal = signal;
+		return new Promise(() => {});
+	}, {"concurrency": 1, "signal": controller.signal});
+
+	controller.abort(new Error("stop"));
+	const reason = await cancelled.catch((error) => error.message);
+
+	if(reason !== "stop") warn("pool.map", "stop", reason);
+	if(jobSignal === null || !jobSignal.aborted) warn("pool.map", true, jobSignal && jobSignal.aborted);
+});
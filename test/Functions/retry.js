@@ -0,0 +1,118 @@
+/* eslint-env node, mocha */
+"use strict";
+
+const {CircuitOpenError, circuitBreaker, createManualScheduler, retry} = require("../../cjs/Functions");
+
+const settle = () => new Promise(setImmediate);
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Functions.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+it("Functions.retry()", async () => {
+	const scheduler = createManualScheduler();
+	const attemptTimes = [];
+	const flaky = retry(async (n) => {
+		attemptTimes.push(scheduler.now());
+		if(attemptTimes.length < n) throw new Error("busy");
+		return "ok";
+	}, {"retries": 3, "delay": 100, scheduler});
+	const delays = [];
+
+	flaky.on("retry", (event) => delays.push(event.delay));
+	const promise = flaky(3);
+
+	for(let i = 0; i < 5; i++) {
+		await settle();
+		scheduler.advance(100);
+	}
+	const result = await promise;
+
+	if(result !== "ok") warn("retry", "ok", result);
+	if(JSON.stringify(attemptTimes) !== "[0,100,300]") warn("retry", [0, 100, 300], attemptTimes);
+	if(JSON.stringify(delays) !== "[100,200]") warn("retry", [100, 200], delays);
+
+	const linear = retry(() => {
+		throw new TypeError("fatal");
+	}, {"backoff": "linear", "shouldRetry": (error) => !(error instanceof TypeError), scheduler});
+	const error = await linear().catch((reason) => reason);
+
+	if(!(error instanceof TypeError)) warn("retry", "TypeError", String(error));
+});
+
+it("Functions.circuitBreaker()", async () => {
+	const scheduler = createManualScheduler();
+	let isHealthy = false;
+	const send = circuitBreaker(async () => {
+		if(!isHealthy) throw new Error("down");
+		return "sent";
+	}, {"failureThreshold": 2, "resetTimeout": 1000, scheduler});
+	const transitions = [];
+	const results = [];
+
+	send.on("stateChange", ({previousState, state}) => transitions.push(`${previousState}->${state}`));
+	const attempt = async () => {
+		results.push(await send().catch((error) => (error instanceof CircuitOpenError ? "open" : "failed")));
+	};
+
+	await attempt();
+	await attempt();
+	await attempt();
+	scheduler.advance(1000);
+	await attempt();
+	scheduler.advance(1000);
+	isHealthy = true;
+	await attempt();
+	await attempt();
+
+	const expectedResults = ["failed", "failed", "open", "failed", "sent", "sent"];
+	const expectedTransitions = ["closed->open", "open->halfOpen", "halfOpen->open", "open->halfOpen", "halfOpen->closed"];
+
+	if(JSON.stringify(results) !== JSON.stringify(expectedResults)) warn("circuitBreaker", expectedResults, results);
+	if(JSON.stringify(transitions) !== JSON.stringify(expectedTransitions)) {
+		warn("circuitBreaker", expectedTransitions, transitions);
+	}
+	if(send.getState() !== "closed") warn("circuitBreaker", "closed", send.getState());
+});
+
+it("Functions.retry() with a throwing listener", async () => {
+	// Listener errors are rethrown asynchronously, so they are caught here instead of by mocha.
+	const mochaListeners = process.listeners("uncaughtException");
+	const reportedErrors = [];
+
+	process.removeAllListeners("uncaughtException");
+	process.on("uncaughtException", (error) => reportedErrors.push(error.message));
+	try {
+		const scheduler = createManualScheduler();
+		let attempts = 0;
+		const flaky = retry(() => {
+			attempts++;
+			if(attempts < 2) throw new Error("busy");
+			return "ok";
+		}, {"delay": 100, scheduler});
+		const delays = [];
+
+		flaky.on("retry", () => {
+			throw new Error("listener");
+		});
+		flaky.on("retry", (event) => delays.push(event.delay));
+		const promise = flaky();
+
+		await settle();
+		scheduler.advance(100);
+		const result = await promise;
+
+		await settle();
+		if(result !== "ok") warn("retry", "ok", result);
+		if(JSON.stringify(delays) !== "[100]") warn("retry", [100], delays);
+		if(JSON.stringify(reportedErrors) !== "[\"listener\"]") warn("retry", ["listener"], reportedErrors);
+	} finally {
+		process.removeAllListeners("uncaughtException");
+		mochaListeners.forEach((listener) => process.on("uncaughtException", listener));
+	}
+});
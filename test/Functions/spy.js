@@ -0,0 +1,97 @@
+"use strict";
+
+const {createManualScheduler, spy, spyOnMethod, stub} = require("../../cjs/Functions");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Functions.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+{
+	const scheduler = createManualScheduler(100);
+	const add = spy(function add(a, b) {
+		scheduler.advance(5);
+		if(a < 0) throw new Error("negative");
+		return a + b;
+	}, {scheduler});
+	const context = {"name": "context"};
+
+	add.call(context, 1, 2);
+	try {
+		add(-1, 2);
+	} catch(error) {
+		// The error is recorded.
+	}
+	const [first, second] = add.calls;
+	const actual = [
+		add.name,
+		add.length,
+		add.callCount,
+		first.args,
+		first.thisArg === context,
+		first.returnValue,
+		first.startTime,
+		first.duration,
+		second.threw,
+		second.error.message,
+		add.lastCall === second,
+	];
+	const expected = ["add", 2, 2, [1, 2], true, 3, 100, 5, true, "negative", true];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("spy", expected, actual);
+	add.reset();
+	if(add.callCount !== 0) warn("spy", 0, add.callCount);
+}
+
+{
+	const fetchPage = stub().returnsOnce("page 1", "page 2").throwsOnce(new Error("down")).returns(null);
+	const actual = [fetchPage(), fetchPage()];
+
+	try {
+		fetchPage();
+	} catch(error) {
+		actual.push(error.message);
+	}
+	actual.push(fetchPage(), fetchPage.callsFake((x) => x * 2)(21), fetchPage.callCount);
+	const expected = ["page 1", "page 2", "down", null, 42, 5];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("stub", expected, actual);
+}
+
+{
+	class Greeter {
+		greet(name) {
+			return `Hello, ${name}`;
+		}
+	}
+	const greeter = new Greeter();
+	const greetSpy = spyOnMethod(greeter, "greet");
+	const result = greeter.greet("you");
+
+	greetSpy.restore();
+	const actual = [
+		result,
+		greetSpy.callCount,
+		greetSpy.lastCall.thisArg === greeter,
+		Object.prototype.hasOwnProperty.call(greeter, "greet"),
+	];
+	const expected = ["Hello, you", 1, true, false];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("spyOnMethod", expected, actual);
+
+	const object = {};
+
+	Object.defineProperty(object, "method", {"value": () => 1, "writable": false, "configurable": true});
+	const original = Object.getOwnPropertyDescriptor(object, "method");
+
+	spyOnMethod(object, "method").restore();
+	const restored = Object.getOwnPropertyDescriptor(object, "method");
+	const isRestored = restored.value === original.value && restored.writable === false
+		&& restored.enumerable === false;
+
+	if(!isRestored) warn("spyOnMethod", original, restored);
+}
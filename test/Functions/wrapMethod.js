@@ -0,0 +1,180 @@
+"use strict";
+
+const {
+	createManualScheduler,
+	decorators,
+	isMemoized,
+	isWrappedMethod,
+	memoizeMethod,
+	unmemoizeMethod,
+	unwrapMethod,
+	wrapMethod,
+} = require("../../cjs/Functions");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Functions.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+const getAttributes = (object, key) => {
+	const descriptor = Object.getOwnPropertyDescriptor(object, key);
+
+	return descriptor && [descriptor.writable, descriptor.enumerable, descriptor.configurable];
+};
+
+{
+	const key = Symbol("double");
+
+	class Calculator {
+		[key](x) {
+			return x * 2;
+		}
+	}
+	const original = Calculator.prototype[key];
+	const wrapper = wrapMethod(Calculator.prototype, key, (method) => function(x) {
+		return method.call(this, x) + 1;
+	});
+	const actual = [
+		new Calculator()[key](5),
+		getAttributes(Calculator.prototype, key),
+		isWrappedMethod(Calculator.prototype, key),
+		Calculator.prototype[key] === wrapper,
+	];
+
+	unwrapMethod(Calculator.prototype, key);
+	actual.push(Calculator.prototype[key] === original, getAttributes(Calculator.prototype, key));
+	const expected = [11, [true, false, true], true, true, true, [true, false, true]];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("wrapMethod", expected, actual);
+}
+
+{
+	class Base {
+		getValue() {
+			return 1;
+		}
+	}
+	class Derived extends Base {}
+	const derivedPrototype = Derived.prototype;
+
+	wrapMethod(derivedPrototype, "getValue", (method) => function() {
+		return method.call(this) * 10;
+	});
+	wrapMethod(derivedPrototype, "getValue", (method) => function() {
+		return method.call(this) + 1;
+	});
+	const actual = [new Derived().getValue(), new Base().getValue()];
+
+	unwrapMethod(derivedPrototype, "getValue");
+	actual.push(new Derived().getValue());
+	unwrapMethod(derivedPrototype, "getValue");
+	actual.push(Object.prototype.hasOwnProperty.call(derivedPrototype, "getValue"));
+	const expected = [11, 1, 10, false];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("unwrapMethod", expected, actual);
+}
+
+{
+	class Sealed {
+		getValue() {
+			return 1;
+		}
+	}
+	const sealed = Object.preventExtensions(new Sealed());
+	let error = null;
+
+	try {
+		wrapMethod(sealed, "getValue", (method) => method);
+	} catch(e) {
+		error = e;
+	}
+	const actual = [error instanceof TypeError, isWrappedMethod(sealed, "getValue")];
+
+	if(JSON.stringify(actual) !== "[true,false]") warn("wrapMethod", [true, false], actual);
+}
+
+{
+	let callCount = 0;
+	const object = {};
+
+	Object.defineProperty(object, "compute", {
+		"value": (x) => {
+			callCount++;
+			return x * x;
+		},
+		"writable": false,
+		"enumerable": false,
+		"configurable": true,
+	});
+	memoizeMethod(object, "compute");
+	object.compute(3);
+	object.compute(3);
+	const memoized = object.compute;
+	const actual = [callCount, getAttributes(object, "compute"), isMemoized(memoized)];
+
+	unmemoizeMethod(object, "compute");
+	actual.push(isMemoized(memoized), isWrappedMethod(object, "compute"));
+	const expected = [1, [false, false, true], true, false, false];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("memoizeMethod", expected, actual);
+}
+
+{
+	const decoratorContext = (name) => ({"kind": "method", name, "addInitializer": () => {}});
+	let computeCount = 0;
+	let initCount = 0;
+
+	class Widget {
+		constructor(factor) {
+			this.factor = factor;
+		}
+
+		compute(x) {
+			computeCount++;
+			return x * this.factor;
+		}
+
+		init() {
+			initCount++;
+			return this.factor;
+		}
+	}
+	Widget.prototype.compute = decorators.memoize(Widget.prototype.compute, decoratorContext("compute"));
+	Widget.prototype.init = decorators.once(Widget.prototype.init, decoratorContext("init"));
+	const a = new Widget(2);
+	const b = new Widget(3);
+	const actual = [a.compute(5), a.compute(5), b.compute(5), computeCount];
+
+	actual.push(a.init(), a.init(), b.init(), initCount, Widget.prototype.compute.name);
+	const expected = [10, 10, 15, 2, 2, 2, 3, 2, "compute"];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("decorators", expected, actual);
+
+	const scheduler = createManualScheduler();
+	const calls = [];
+	const save = function(x) {
+		calls.push([this.id, x]);
+	};
+	const decorated = decorators.debounce(100, {scheduler})(save, decoratorContext("save"));
+	const first = {"id": 1, "save": decorated};
+	const second = {"id": 2, "save": decorated};
+
+	first.save("a");
+	second.save("b");
+	first.save("c");
+	scheduler.advance(100);
+	if(JSON.stringify(calls) !== "[[1,\"c\"],[2,\"b\"]]") warn("decorators", [[1, "c"], [2, "b"]], calls);
+
+	let error = null;
+
+	try {
+		decorators.once(save, {"kind": "field"});
+	} catch(e) {
+		error = e;
+	}
+	if(!(error instanceof TypeError)) warn("decorators", "TypeError", String(error));
+}
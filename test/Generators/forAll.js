@@ -0,0 +1,59 @@
+/* eslint-env node */
+"use strict";
+
+const {forAll, fromSchema, fromType, sample} = require("../../cjs/Generators");
+const tc = require("../../cjs/tc");
+
+for(const typeName of tc.getTypeNames()) {
+	const predicate = tc.getPredicate(typeName);
+	const values = sample(fromType(typeName), {"seed": 1, "count": 20});
+
+	if(!values.every(predicate)) {
+		console.warn(
+			"Test failed in 'Generators.fromType()': for type '%s', some generated values did not match the predicate.",
+			typeName
+		);
+	}
+}
+
+const expected = "Property failed after 21 runs (seed: 42) with arguments [[50, 0, 0]] after 7 shrinks.";
+let actual = "";
+
+try {
+	forAll((xs) => xs.length < 3 || xs.every((x) => x < 50), [tc.arrayOf(tc.isPositiveInteger)], {"seed": 42});
+} catch(error) {
+	actual = error.message;
+}
+if(actual !== expected) {
+	console.warn(
+		"Test failed in 'Generators.forAll()': expected message '%s', but got '%s'.",
+		expected,
+		actual
+	);
+}
+
+if(!sample(fromType("NegativeInteger"), {"seed": 1, "count": 20, "size": 0}).some((x) => Object.is(x, -0))) {
+	console.warn("Test failed in 'Generators.fromType()': -0 was never generated as a negative integer.");
+}
+
+for(const regExp of [/^[a-z-]+$/, /^(?:foo|ba[rz])+\.js$/, /^\d{3}-[^\s\d]{2,4}$/u]) {
+	const isMatching = tc.pattern(tc.isString, regExp);
+
+	if(!sample(fromSchema(isMatching), {"seed": 1, "count": 50, "size": 20}).every(isMatching)) {
+		console.warn(
+			"Test failed in 'Generators.fromSchema()': some generated values did not match the pattern %s.",
+			regExp
+		);
+	}
+}
+
+let message = "";
+
+try {
+	fromSchema(tc.pattern(tc.isString, /^(?!-)[a-z-]+$/));
+} catch(error) {
+	message = error.message;
+}
+if(message !== "Unsupported pattern /^(?!-)[a-z-]+$/: pass an explicit generator instead.") {
+	console.warn("Test failed in 'Generators.fromSchema()': for a lookahead, got the error '%s'.", message);
+}
@@ -0,0 +1,166 @@
+"use strict";
+
+const Iterables = require("../../cjs/Iterables");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Iterables.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+const take = (iterable, n) => Iterables.from(iterable).take(n).toArray();
+
+const testCases = [
+	["cycle", () => take(Iterables.cycle([1, 2]), 5), [1, 2, 1, 2, 1]],
+	["cycle", () => [...Iterables.cycle("ab", 2)], ["a", "b", "a", "b"]],
+	["cycle", () => [...Iterables.cycle([])], []],
+	["enumerate", () => [...Iterables.enumerate("ab", 1)], [[1, "a"], [2, "b"]]],
+	["flatMap", () => [...Iterables.flatMap([1, 2], (x, i) => (i === 0 ? [x, x] : "xy"))], [1, 1, "xy"]],
+	["flatten", () => [...Iterables.flatten([1, [2, [3, [4]]], "ab"])], [1, 2, [3, [4]], "ab"]],
+	["flatten", () => [...Iterables.flatten([1, [2, [3, [4]]]], Infinity)], [1, 2, 3, 4]],
+	["flatten", () => [...Iterables.flatten([[1], new Set([2])], 0)], [[1], {}]],
+	["interleave", () => [...Iterables.interleave([1, 2, 3], "ab", [])], [1, "a", 2, "b", 3]],
+	["range", () => [...Iterables.range(0, 1, 0.25)], [0, 0.25, 0.5, 0.75]],
+	["range", () => [...Iterables.range(3, 0, -1)], [3, 2, 1]],
+	["range", () => take(Iterables.range(5), 3), [5, 6, 7]],
+	["repeat", () => [...Iterables.repeat("x", 3)], ["x", "x", "x"]],
+	["repeat", () => take(Iterables.repeat(0), 2), [0, 0]],
+	["scan", () => [...Iterables.scan([1, 2, 3], (sum, x) => sum + x, 0)], [1, 3, 6]],
+	["uniqueBy", () => [...Iterables.uniqueBy(["a", "B", "b", "A", "c"], (x) => x.toLowerCase())], ["a", "B", "c"]],
+	["uniqueBy", () => [...Iterables.uniqueBy([NaN, NaN, 0, -0])], [null, 0]],
+	["Seq.scan", () => Iterables.from(Iterables.range(1)).scan((a, x) => a * x, 1).take(4).toArray(), [1, 2, 6, 24]],
+	["Seq.flatMap", () => Iterables.from("ab").flatMap((x) => [x, x]).enumerate().toArray(), [[0, "a"], [1, "a"], [2, "b"], [3, "b"]]],
+];
+
+for(const [name, fn, expected] of testCases) {
+	const actual = fn();
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn(name, expected, actual);
+}
+
+{
+	let callCount = 0;
+	const [evens, odds] = Iterables.partition(Iterables.range(0, 6), (x) => {
+		callCount++;
+		return x % 2 === 0;
+	});
+	const actual = [[...odds], [...evens], callCount];
+	const expected = [[1, 3, 5], [0, 2, 4], 6];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("partition", expected, actual);
+}
+
+{
+	let readCount = 0;
+
+	function* count() {
+		while(true) yield readCount++;
+	}
+	const [a, b, c] = Iterables.tee(count(), 3);
+	const actual = [take(a, 3), b.next().value, b.next().value, readCount];
+
+	c.return();
+	actual.push(b.next().value, readCount, a.next().done);
+	const expected = [[0, 1, 2], 0, 1, 3, 2, 3, true];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("tee", expected, actual);
+
+	const [fast] = Iterables.tee(Iterables.range(0), 2, {"maxBufferSize": 3});
+	let error = null;
+
+	try {
+		take(fast, 5);
+	} catch(e) {
+		error = e;
+	}
+	if(!(error instanceof RangeError)) warn("tee", "RangeError", String(error));
+
+	let closeCount = 0;
+	const closable = {
+		[Symbol.iterator]: () => ({
+			"next": () => ({"done": false, "value": 0}),
+			"return": () => {
+				closeCount++;
+				return {"done": true, "value": undefined};
+			},
+		}),
+	};
+	const copies = Iterables.tee(closable, 2);
+
+	take(copies[0], 1);
+	copies[1].next();
+	const closeCountBefore = closeCount;
+
+	copies[1].return();
+	if(closeCountBefore !== 0 || closeCount !== 1) warn("tee", [0, 1], [closeCountBefore, closeCount]);
+
+	const [leading, lagging] = Iterables.tee(Iterables.range(0, 1000), 2);
+	const leadingValues = [...leading];
+	const laggingValues = [...lagging];
+
+	if(leadingValues.length !== 1000 || laggingValues[999] !== 999) {
+		warn("tee", [1000, 999], [leadingValues.length, laggingValues[999]]);
+	}
+}
+
+{
+	// Copies which are returned before being started do not hold values back.
+	const [unstarted, drained] = Iterables.tee(Iterables.range(0, 10), 2, {"maxBufferSize": 3});
+
+	unstarted.return();
+	const actual = [[...drained], unstarted.next().done];
+	const expected = [[0, 1, 2, 3, 4, 5, 6, 7, 8, 9], true];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("tee", expected, actual);
+
+	let closeCount = 0;
+	const closable = () => ({
+		[Symbol.iterator]: () => ({
+			"next": () => ({"done": false, "value": 0}),
+			"return": () => {
+				closeCount++;
+				return {"done": true, "value": undefined};
+			},
+		}),
+	});
+	const copies = Iterables.tee(closable(), 3);
+
+	take(copies[0], 2);
+	copies[1].return();
+	const closeCountBefore = closeCount;
+
+	copies[2].return();
+	if(closeCountBefore !== 0 || closeCount !== 1) warn("tee", [0, 1], [closeCountBefore, closeCount]);
+
+	const [evens, odds] = Iterables.partition(closable(), (x) => x % 2 === 0);
+
+	take(evens, 1);
+	odds.return();
+	evens.return();
+	if(closeCount !== 2) warn("partition", 2, closeCount);
+}
+
+{
+	let error = null;
+
+	try {
+		Iterables.range(0, 1, 0).next();
+	} catch(e) {
+		error = e;
+	}
+	if(!(error instanceof RangeError)) warn("range", "RangeError", String(error));
+}
+
+for(const args of [[0, NaN], [NaN, 5], [0, 5, NaN], [0, 5, Infinity]]) {
+	let error = null;
+
+	try {
+		Iterables.range(...args).next();
+	} catch(e) {
+		error = e;
+	}
+	if(!(error instanceof TypeError)) warn("range", "TypeError", String(error));
+}
@@ -0,0 +1,93 @@
+"use strict";
+
+const {Seq, from, fromFunction} = require("../../cjs/Iterables");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Iterables.%s': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+const naturals = () => fromFunction((x) => x + 1, 0);
+
+const testCases = [
+	["from().filter().map().take()", () => from(naturals()).filter((x) => x % 2 === 0).map((x) => x * x).take(4).toArray(), [0, 4, 16, 36]],
+	["from().chunk()", () => from(naturals()).chunk(3).take(2).toArray(), [[0, 1, 2], [3, 4, 5]]],
+	["from().bigrams()", () => from([1, 2, 3]).bigrams().toArray(), [[1, 2], [2, 3]]],
+	["from().group()", () => from("aabccc").group().map((x) => x.join("")).toArray(), ["aa", "b", "ccc"]],
+	["from().drop()", () => from([1, 2, 3, 4]).drop(2).toArray(), [3, 4]],
+	["from().dropWhile()", () => from([1, 2, 3, 1]).dropWhile((x) => x < 3).toArray(), [3, 1]],
+	["from().takeWhile()", () => from(naturals()).takeWhile((x) => x < 3).toArray(), [0, 1, 2]],
+	["from().take()", () => from([1, 2]).take(5).toArray(), [1, 2]],
+	["from().zip()", () => from(naturals()).zip("ab").toArray(), [[0, "a"], [1, "b"]]],
+	["from().zipWith()", () => from([1, 2]).zipWith((a, b) => a + b, [10, 20]).toArray(), [11, 22]],
+	["from().find()", () => from(naturals()).find((x) => x > 10), 11],
+	["from().first()", () => from(naturals()).drop(5).first(), 5],
+	["from().first()", () => from([]).first(null), null],
+	["from().reduce()", () => from([1, 2, 3]).reduce((a, b) => a + b), 6],
+	["from().reduce()", () => from([1, 2, 3]).reduce((a, b, i) => a + b * i, 0), 8],
+	["from().toSet()", () => [...from([1, 1, 2]).toSet()], [1, 2]],
+	["from().toMap()", () => [...from(["a", "b"]).map((x) => [x, x.length]).toMap().keys()], ["a", "b"]],
+];
+
+for(const [name, fn, expected] of testCases) {
+	const actual = fn();
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn(name, expected, actual);
+}
+
+{
+	let readCount = 0;
+	const seq = from([1, 2, 3]).map((x) => {
+		readCount++;
+		return x * 2;
+	});
+	const before = readCount;
+	const actual = [before, seq.toArray(), [...seq], readCount, seq instanceof Seq];
+	const expected = [0, [2, 4, 6], [2, 4, 6], 6, true];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("Seq", expected, actual);
+}
+
+{
+	let error = null;
+
+	try {
+		from([]).reduce((a, b) => a + b);
+	} catch(e) {
+		error = e;
+	}
+	if(!(error instanceof TypeError)) warn("from().reduce()", "TypeError", String(error));
+}
+
+{
+	let closeCount = 0;
+	const closable = () => {
+		const iterator = naturals()[Symbol.iterator]();
+
+		return {
+			[Symbol.iterator]: () => ({
+				"next": () => iterator.next(),
+				"return": () => {
+					closeCount++;
+					return {"done": true, "value": undefined};
+				},
+			}),
+		};
+	};
+
+	from(closable()).drop(2).take(1).toArray();
+	from(closable()).dropWhile((x) => x < 2).take(1).toArray();
+	try {
+		from(closable()).reduce((a, b) => {
+			if(b > 3) throw new RangeError("stop");
+			return a + b;
+		});
+	} catch(e) {
+		// The source must be closed anyway.
+	}
+	if(closeCount !== 3) warn("from().drop()", 3, closeCount);
+}
@@ -0,0 +1,69 @@
+"use strict";
+
+const Iterables = require("../../cjs/Iterables");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'Iterables.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+const ascending = (a, b) => a - b;
+const multiples = (n) => Iterables.fromFunction((x) => x + n, 0);
+const take = (iterable, n) => Iterables.from(iterable).take(n).toArray();
+
+const testCases = [
+	["mergeSorted", () => [...Iterables.mergeSorted(ascending, [1, 4, 7], [2, 5], [], [0, 3, 6, 9])], [0, 1, 2, 3, 4, 5, 6, 7, 9]],
+	["mergeSorted", () => take(Iterables.mergeSorted(ascending, multiples(2), multiples(3)), 8), [0, 0, 2, 3, 4, 6, 6, 8]],
+	["mergeSorted", () => [...Iterables.mergeSorted(ascending)], []],
+	["unionSorted", () => [...Iterables.unionSorted(ascending, [1, 1, 3], [1, 2, 3, 4])], [1, 2, 3, 4]],
+	["unionSorted", () => take(Iterables.unionSorted(ascending, multiples(2), multiples(3)), 6), [0, 2, 3, 4, 6, 8]],
+	["intersectSorted", () => [...Iterables.intersectSorted(ascending, [1, 2, 2, 3, 5], [2, 3, 4, 5], [0, 2, 5])], [2, 5]],
+	["intersectSorted", () => take(Iterables.intersectSorted(ascending, multiples(2), multiples(3)), 3), [0, 6, 12]],
+	["intersectSorted", () => [...Iterables.intersectSorted(ascending, [1, 2], [])], []],
+	["differenceSorted", () => [...Iterables.differenceSorted(ascending, [1, 2, 2, 3, 4, 5], [2], [4, 6])], [1, 3, 5]],
+	["differenceSorted", () => take(Iterables.differenceSorted(ascending, multiples(2), multiples(3)), 4), [2, 4, 8, 10]],
+	["Seq.mergeSorted", () => Iterables.from([3, 1]).mergeSorted((a, b) => b - a, [2]).toArray(), [3, 2, 1]],
+];
+
+for(const [name, fn, expected] of testCases) {
+	const actual = fn();
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn(name, expected, actual);
+}
+
+{
+	const logs = [
+		[{"t": 1, "source": "a"}, {"t": 3, "source": "a"}],
+		[{"t": 1, "source": "b"}, {"t": 2, "source": "b"}],
+	];
+	const merged = [...Iterables.mergeSorted((x, y) => x.t - y.t, ...logs)].map((x) => `${x.t}${x.source}`);
+	const expected = ["1a", "1b", "2b", "3a"];
+
+	if(JSON.stringify(merged) !== JSON.stringify(expected)) warn("mergeSorted", expected, merged);
+}
+
+{
+	let closeCount = 0;
+	const closable = (n) => ({
+		[Symbol.iterator]: () => {
+			const iterator = multiples(n)[Symbol.iterator]();
+
+			return {
+				"next": () => iterator.next(),
+				"return": () => {
+					closeCount++;
+					return {"done": true, "value": undefined};
+				},
+			};
+		},
+	});
+
+	take(Iterables.mergeSorted(ascending, closable(2), closable(3), [1]), 4);
+	take(Iterables.intersectSorted(ascending, closable(2), closable(3)), 2);
+	take(Iterables.differenceSorted(ascending, closable(2), closable(3)), 2);
+	if(closeCount !== 6) warn("mergeSorted", 6, closeCount);
+}
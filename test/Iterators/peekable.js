@@ -0,0 +1,75 @@
+"use strict";
+
+const {PeekableIterator, peekable} = require("../../cjs/Iterators");
+const {bigrams} = require("../../cjs/Iterables");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in '%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+{
+	const tokens = peekable(["let", "x", "=", "1"][Symbol.iterator]());
+	const actual = [tokens.peek(), tokens.peek(2), tokens.next().value, tokens.peek()];
+
+	tokens.pushBack("const");
+	actual.push(tokens.next().value, tokens.hasNext(), [...tokens], tokens.hasNext());
+	actual.push(tokens.peek(0, null), tokens.next().done, tokens instanceof PeekableIterator);
+	const expected = ["let", "=", "let", "x", "const", true, ["x", "=", "1"], false, null, true, true];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("Iterators.peekable", expected, actual);
+}
+
+{
+	let readCount = 0;
+
+	function* count() {
+		while(true) yield readCount++;
+	}
+	const iterator = peekable(count());
+	const actual = [iterator.peek(3), readCount, iterator.next().value, readCount];
+	const expected = [3, 4, 0, 4];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("Iterators.peekable", expected, actual);
+}
+
+{
+	let error = null;
+
+	try {
+		peekable([].values()).peek();
+	} catch(e) {
+		error = e;
+	}
+	if(error === null || error.message !== "No next value.") warn("Iterators.peekable", "No next value.", String(error));
+}
+
+{
+	const actual = [[...bigrams([1, 2, 3])], [...bigrams([1])], [...bigrams([undefined, {}])]];
+	const expected = [[[1, 2], [2, 3]], [], [[undefined, {}]]];
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) warn("Iterables.bigrams", expected, actual);
+}
+
+{
+	let returnCount = 0;
+	const makeIterator = () => {
+		const values = [1, 2][Symbol.iterator]();
+
+		return {"next": () => values.next(), "return": () => ({"done": true, "value": returnCount++})};
+	};
+	const exhausted = peekable(makeIterator());
+
+	[...exhausted];
+	exhausted.return();
+	const open = peekable(makeIterator());
+
+	open.next();
+	open.return();
+	open.return();
+	if(returnCount !== 1) warn("PeekableIterator.return", 1, returnCount);
+}
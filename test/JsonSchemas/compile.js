@@ -0,0 +1,134 @@
+/* eslint-env node */
+"use strict";
+
+const {compile, fromSchema} = require("../../cjs/JsonSchemas");
+const tc = require("../../cjs/tc");
+
+const isConfig = compile({
+	"$defs": {
+		"port": {"type": "integer", "minimum": 1, "maximum": 65535},
+	},
+	"type": "object",
+	"properties": {
+		"host": {"type": "string", "minLength": 1},
+		"port": {"$ref": "#/$defs/port"},
+		"mode": {"enum": ["http", "https"]},
+		"tags": {"type": "array", "items": {"type": "string", "pattern": "^[a-z]+$"}},
+	},
+	"required": ["host", "port"],
+	"additionalProperties": false,
+});
+
+const testCases = [
+	[{"host": "localhost", "port": 80}, []],
+	[{"host": "localhost", "port": 80, "mode": "https", "tags": ["a"]}, []],
+	[{"host": "", "port": 0}, ["$.host", "$.port"]],
+	[{"host": "localhost", "port": 80, "mode": "ftp", "tags": ["A"]}, ["$.mode", "$.tags[0]"]],
+	[{"host": "localhost", "port": 80, "extra": true}, ["$.extra"]],
+	[{"port": 80}, ["$.host"]],
+];
+
+for(const [testCase, expected] of testCases) {
+	const actual = tc.validate(isConfig, testCase).map((failure) => failure.path);
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) {
+		console.warn(
+			"Test failed in 'JsonSchemas.compile()': for argument '%s', expected '%s', but got '%s'.",
+			JSON.stringify(testCase),
+			JSON.stringify(expected),
+			JSON.stringify(actual)
+		);
+	}
+}
+
+const expected = {
+	"$schema": "https://json-schema.org/draft/2020-12/schema",
+	"type": "object",
+	"properties": {
+		"name": {"type": "string"},
+		"tags": {"type": "array", "items": {"type": "string"}},
+	},
+	"required": ["name"],
+	"additionalProperties": false,
+};
+const actual = fromSchema(tc.shape({
+	"name": tc.isString,
+	"tags": tc.optional(tc.arrayOf(tc.isString)),
+}, {"exact": true}));
+
+if(JSON.stringify(actual) !== JSON.stringify(expected)) {
+	console.warn(
+		"Test failed in 'JsonSchemas.fromSchema()': expected '%s', but got '%s'.",
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+for(const [predicate, expectedSchema] of [
+	[tc.isNegativeInteger, {"type": "integer", "maximum": 0}],
+	[tc.isNegativeNumber, {"type": "number", "maximum": 0}],
+	[tc.isNil, null],
+	[tc.isNullOrUndefined, null],
+]) {
+	let actualSchema = null;
+
+	try {
+		const {type, maximum} = fromSchema(predicate);
+
+		actualSchema = {type, maximum};
+	} catch(error) {
+		if(!(error instanceof TypeError) || !error.message.includes("not representable")) actualSchema = error.message;
+	}
+	if(JSON.stringify(actualSchema) !== JSON.stringify(expectedSchema)) {
+		console.warn(
+			"Test failed in 'JsonSchemas.fromSchema()': for '%s', expected '%s', but got '%s'.",
+			predicate.name,
+			JSON.stringify(expectedSchema),
+			JSON.stringify(actualSchema)
+		);
+	}
+}
+
+const isNamed = compile({
+	"type": "object",
+	"properties": {"constructor": true},
+	"required": ["toString", "constructor"],
+	"additionalProperties": false,
+});
+
+for(const [testCase, expected] of [
+	[{}, false],
+	[{"toString": "x"}, false],
+	[{"toString": "x", "constructor": "y"}, true],
+	[{"toString": "x", "constructor": "y", "valueOf": "z"}, false],
+]) {
+	if(isNamed(testCase) !== expected) {
+		console.warn(
+			"Test failed in 'JsonSchemas.compile()': for argument '%s' with inherited keys, expected '%s'.",
+			JSON.stringify(testCase),
+			expected
+		);
+	}
+}
+
+const isTree = compile({
+	"$defs": {
+		"node": {"type": "object", "properties": {"children": {"type": "array", "items": {"$ref": "#/$defs/node"}}}},
+	},
+	"$ref": "#/$defs/node",
+});
+const isForest = compile(fromSchema(tc.shape({"root": isTree, "forest": tc.arrayOf(isTree)})));
+
+for(const [testCase, expected] of [
+	[{"root": {"children": [{"children": []}]}, "forest": [{}, {"children": [{}]}]}, true],
+	[{"root": {"children": [1]}, "forest": []}, false],
+	[{"root": {}, "forest": [{"children": [{"children": [null]}]}]}, false],
+]) {
+	if(isForest(testCase) !== expected) {
+		console.warn(
+			"Test failed in 'JsonSchemas.fromSchema()': for argument '%s' with nested references, expected '%s'.",
+			JSON.stringify(testCase),
+			expected
+		);
+	}
+}
@@ -0,0 +1,66 @@
+/* eslint-env node, mocha */
+"use strict";
+
+const tc = require("../../cjs/tc");
+
+function getErrorMessage(fn) {
+	try {
+		fn();
+	} catch(error) {
+		return error.message;
+	}
+	return null;
+}
+
+const testCases = [
+	[() => tc.assertEqual(1, 1), null],
+	[() => tc.assertEqual(1, 2), "expected values to be identical:\n- expected\n+ actual\n\n- 2\n+ 1"],
+	[() => tc.assertDeepEqual({"a": [1, 2]}, {"a": [1, 2]}), null],
+	[
+		() => tc.assertDeepEqual({"a": [1, 2]}, {"a": [1, 3]}),
+		"expected values to be deeply equal:\n- expected\n+ actual\n\n  {\n      a: [\n          1,\n-         3,\n+         2,\n      ],\n  }",
+	],
+	[() => tc.assertDeepEqual({"a": 1, "b": 2}, {"b": 2, "a": 1}, {"json": true}), null],
+	[() => tc.assertThrows(() => tc.expectString(1), TypeError), null],
+	[() => tc.assertThrows(() => tc.expectString(1), {"code": "ERR_TC_TYPE"}), null],
+	[() => tc.assertThrows(() => undefined), "expected the function to throw an error."],
+	[() => tc.assertMatches("2024-01-01", /^\d{4}-\d{2}-\d{2}$/), null],
+	[() => tc.assertMatches("x", /^\d+$/), "expected a string matching /^\\d+$/:\n+ \"x\""],
+	[
+		() => tc.assertMatches({"port": "80"}, tc.shape({"port": tc.isSafeInteger})),
+		"expected a plain object with the property 'port':\n- $.port: expected a safe integer, got string.",
+	],
+];
+
+for(const [fn, expected] of testCases) {
+	const actual = getErrorMessage(fn);
+
+	if(actual !== expected) {
+		console.warn(
+			"Test failed in 'tc' assertions: for '%s', expected '%s', but got '%s'.",
+			fn.toString(),
+			expected,
+			actual
+		);
+	}
+}
+
+function checkPort(port) {
+	tc.assert(port > 0, "expected a port.");
+}
+
+let caller = null;
+
+try {
+	checkPort(0);
+} catch(error) {
+	caller = error.caller;
+}
+if(caller !== "checkPort") {
+	console.warn("Test failed in 'tc.assert()': expected the caller 'checkPort', but got '%s'.", caller);
+}
+
+it("tc.assertRejects()", async () => {
+	await tc.assertRejects(Promise.reject(new RangeError("out of range")), /range/);
+	await tc.assertRejects(tc.assertRejects(Promise.resolve(1)), tc.AssertionError);
+});
@@ -0,0 +1,53 @@
+/* eslint-env node */
+"use strict";
+
+const tc = require("../../cjs/tc");
+
+function getError(fn) {
+	try {
+		fn();
+	} catch(error) {
+		return error;
+	}
+	return null;
+}
+
+function parsePort(port) {
+	tc.expectPositiveInteger(port);
+	return port;
+}
+
+const testCases = [
+	[
+		() => parsePort("80"),
+		{"code": "ERR_TC_TYPE", "expectedType": "PositiveInteger", "receivedType": "string", "caller": "parsePort"},
+	],
+	[
+		() => tc.expectStrings(["a", 1]),
+		{"code": "ERR_TC_ELEMENT_TYPE", "expectedType": "String", "receivedType": "number", "index": 1},
+	],
+	[
+		() => tc.makeValidation(tc.arrayOf(tc.isString))(new Map()),
+		{"code": "ERR_TC_VALIDATION", "expectedType": null, "receivedType": "Map"},
+	],
+	[
+		() => tc.assert(false),
+		{"code": "ERR_TC_ASSERTION"},
+	],
+];
+
+for(const [fn, expected] of testCases) {
+	const error = getError(fn);
+	const actual = error === null ? null : JSON.parse(JSON.stringify(error));
+
+	for(const [key, value] of Object.entries(expected)) {
+		if(actual === null || actual[key] !== value) {
+			console.warn(
+				"Test failed in 'tc' error details: for key '%s', expected '%s', but got '%s'.",
+				key,
+				JSON.stringify(value),
+				JSON.stringify(actual)
+			);
+		}
+	}
+}
@@ -0,0 +1,66 @@
+/* eslint-env node */
+"use strict";
+
+const tc = require("../../cjs/tc");
+
+const isPort = tc.range(tc.isSafeInteger, {"min": 1, "max": 65535});
+const isSlug = tc.length(tc.pattern(tc.isString, /^[a-z-]+$/), {"max": 64});
+const isMethod = tc.oneOf("GET", "HEAD", "POST");
+const isStep = tc.multipleOf(tc.isRegularNumber, 0.5);
+const isPrice = tc.multipleOf(tc.isRegularNumber, 0.1);
+
+const testCases = [
+	[isPort, 80, true],
+	[isPort, 0, false],
+	[isPort, 65536, false],
+	[isPort, 1.5, false],
+	[isSlug, "kebab-case", true],
+	[isSlug, "Kebab", false],
+	[isSlug, "a".repeat(65), false],
+	[isMethod, "HEAD", true],
+	[isMethod, "head", false],
+	[isStep, 2.5, true],
+	[isStep, 2.25, false],
+	[isPrice, 0.3, true],
+	[isPrice, 0.7, true],
+	[isPrice, 0.25, false],
+];
+
+for(const [predicate, arg, expected] of testCases) {
+	const actual = predicate(arg);
+
+	if(actual !== expected) {
+		console.warn(
+			"Test failed in '%s()': for argument '%s', expected '%s', but got '%s'.",
+			predicate.name,
+			JSON.stringify(arg),
+			expected,
+			actual
+		);
+	}
+}
+
+const descriptionTestCases = [
+	[isPort, "a safe integer greater than or equal to 1 and lower than or equal to 65535"],
+	[isSlug, "a string matching /^[a-z-]+$/ of length at most 64"],
+	[isMethod, "one of the values \"GET\", \"HEAD\" or \"POST\""],
+	[isStep, "a regular number which is a multiple of 0.5"],
+];
+
+for(const [predicate, expected] of descriptionTestCases) {
+	let actual = "";
+
+	try {
+		tc.makeExpectation(predicate)(null);
+	} catch(error) {
+		actual = error.message;
+	}
+	if(actual !== `expected ${expected}.`) {
+		console.warn(
+			"Test failed in 'tc.makeExpectation()': for '%s', expected '%s', but got '%s'.",
+			predicate.name,
+			expected,
+			actual
+		);
+	}
+}
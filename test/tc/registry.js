@@ -0,0 +1,88 @@
+/* eslint-env node */
+"use strict";
+
+const tc = require("../../cjs/tc");
+
+function warn(name, expected, actual) {
+	console.warn(
+		"Test failed in 'tc.%s()': expected '%s', but got '%s'.",
+		name,
+		JSON.stringify(expected),
+		JSON.stringify(actual)
+	);
+}
+
+function getErrorName(fn) {
+	try {
+		fn();
+	} catch(error) {
+		return error.name;
+	}
+	return null;
+}
+
+const isUuid = (arg) => typeof arg === "string" && /^[\da-f]{8}(?:-[\da-f]{4}){3}-[\da-f]{12}$/i.test(arg);
+const Uuid = tc.registerType("Uuid", isUuid, "a UUID string");
+const uuid = "123e4567-e89b-12d3-a456-426614174000";
+
+{
+	const actual = [
+		Uuid.typeName,
+		Uuid.description,
+		Uuid.predicate === isUuid,
+		tc.getPredicate("Uuid") === isUuid,
+		tc.getDescription(isUuid),
+		tc.getTypeNames().includes("Uuid"),
+		getErrorName(() => Uuid.expectation(uuid)),
+		getErrorName(() => Uuid.expectation("x")),
+		getErrorName(() => Uuid.pluralExpectation([uuid, "x"])),
+		tc.getDescription(tc.arrayOf(isUuid)),
+	];
+	const expected = [
+		"Uuid",
+		"a UUID string",
+		true,
+		true,
+		"a UUID string",
+		true,
+		null,
+		"TypeError",
+		"TypeError",
+		"an 'Array' object where every element is a UUID string",
+	];
+
+	for(let i = 0; i < expected.length; i++) {
+		if(actual[i] !== expected[i]) warn("registerType", expected[i], actual[i]);
+	}
+}
+
+{
+	// Another function with the name of a known predicate is not known.
+	const isUuidLookalike = {isUuid: () => true}.isUuid;
+	const isStringLookalike = {isString: () => true}.isString;
+	const testCases = [
+		["getDescription", () => tc.getDescription(isUuidLookalike), "TypeError"],
+		["getDescription", () => tc.getDescription(isStringLookalike), "TypeError"],
+		["makeExpectation", () => tc.makeExpectation(isUuidLookalike), "TypeError"],
+		["registerType", () => tc.registerType("Uuid", () => true, "another UUID"), "Error"],
+		["registerType", () => tc.registerType("Other", isUuid, "another UUID"), "Error"],
+		["registerType", () => tc.registerType("lowercase", () => true, "a value"), "TypeError"],
+		["getPredicate", () => tc.getPredicate("Unknown"), "TypeError"],
+		["getPredicate", () => tc.getPredicate("SafeInteger") === tc.isSafeInteger, null],
+	];
+
+	for(const [name, fn, expected] of testCases) {
+		const actual = getErrorName(fn);
+
+		if(actual !== expected) warn(name, expected, actual);
+	}
+}
+
+{
+	const typeNames = tc.getTypeNames();
+	const isEveryPredicateKnown = typeNames.every((typeName) => typeof tc.getPredicate(typeName) === "function");
+
+	if(!isEveryPredicateKnown || new Set(typeNames).size !== typeNames.length) {
+		warn("getTypeNames", "distinct names of known types", typeNames);
+	}
+}
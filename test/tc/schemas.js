@@ -0,0 +1,99 @@
+/* eslint-env node */
+"use strict";
+
+const tc = require("../../cjs/tc");
+
+const isServerConfig = tc.shape({
+	"host": tc.isNonEmptyString,
+	"port": tc.isPositiveInteger,
+	"tags": tc.optional(tc.arrayOf(tc.isString)),
+	"mode": tc.union(tc.literal("http"), tc.literal("https")),
+	"limits": tc.optional(tc.record(tc.isSafeInteger)),
+	"range": tc.optional(tc.tuple(tc.isNumber, tc.isNumber)),
+});
+
+const testCases = [
+	[{"host": "localhost", "port": 80, "mode": "http"}, true],
+	[{"host": "localhost", "port": 80, "mode": "https", "tags": ["a"]}, true],
+	[{"host": "localhost", "port": 80, "mode": "http", "limits": {"a": 1}}, true],
+	[{"host": "localhost", "port": 80, "mode": "http", "range": [0, 1]}, true],
+	[{"host": "localhost", "port": 80, "mode": "http", "extra": 0}, true],
+	[{"host": "", "port": 80, "mode": "http"}, false],
+	[{"host": "localhost", "port": -1, "mode": "http"}, false],
+	[{"host": "localhost", "port": 80, "mode": "ftp"}, false],
+	[{"host": "localhost", "port": 80}, false],
+	[{"host": "localhost", "port": 80, "mode": "http", "tags": [1]}, false],
+	[{"host": "localhost", "port": 80, "mode": "http", "limits": {"a": 0.5}}, false],
+	[{"host": "localhost", "port": 80, "mode": "http", "range": [0]}, false],
+	[[], false],
+	[null, false],
+];
+
+for(const [testCase, expected] of testCases) {
+	const actual = isServerConfig(testCase);
+
+	if(actual !== expected) {
+		console.warn(
+			"Test failed in 'tc.shape()': for argument '%s', expected '%s', but got '%s'.",
+			JSON.stringify(testCase),
+			expected,
+			actual
+		);
+	}
+}
+
+const isExactPoint = tc.shape({"x": tc.isNumber, "y": tc.isNumber}, {"exact": true});
+
+for(const [testCase, expected] of [[{"x": 0, "y": 0}, true], [{"x": 0, "y": 0, "z": 0}, false]]) {
+	const actual = isExactPoint(testCase);
+
+	if(actual !== expected) {
+		console.warn(
+			"Test failed in 'tc.shape()' with the 'exact' option: for argument '%s', expected '%s', but got '%s'.",
+			JSON.stringify(testCase),
+			expected,
+			actual
+		);
+	}
+}
+
+const expectServerConfig = tc.makeExpectation(isServerConfig);
+const expectedMessage = "expected a plain object with the properties 'host', 'port', 'tags', 'mode', 'limits' and 'range'.";
+let actualMessage = "";
+
+try {
+	expectServerConfig({});
+} catch(error) {
+	actualMessage = error.message;
+}
+if(actualMessage !== expectedMessage) {
+	console.warn(
+		"Test failed in 'tc.makeExpectation()' for a schema: expected message '%s', but got '%s'.",
+		expectedMessage,
+		actualMessage
+	);
+}
+
+// Inherited properties do not count as present.
+const isCallable = tc.shape({"toString": tc.isFunction});
+let inheritedFailures = null;
+
+try {
+	tc.makeValidation(isCallable)({});
+} catch(error) {
+	inheritedFailures = error.failures;
+}
+if(isCallable({}) || !isCallable({"toString": () => ""}) || inheritedFailures === null) {
+	console.warn("Test failed in 'tc.shape()': an inherited property was accepted.");
+}
+
+let unionError = null;
+
+try {
+	tc.union();
+} catch(error) {
+	unionError = error;
+}
+if(!(unionError instanceof TypeError)) {
+	console.warn("Test failed in 'tc.union()': expected a TypeError for no schemas, but got '%s'.", unionError);
+}
@@ -0,0 +1,46 @@
+/* eslint-env node */
+"use strict";
+
+const tc = require("../../cjs/tc");
+
+const isUser = tc.shape({
+	"name": tc.isNonEmptyString,
+	"age": tc.isPositiveInteger,
+	"emails": tc.arrayOf(tc.isNonEmptyString),
+}, {"exact": true});
+
+const testCases = [
+	[{"name": "Ann", "age": 30, "emails": []}, []],
+	[{"name": "", "age": 30, "emails": []}, ["$.name"]],
+	[{"name": "Ann", "age": "30", "emails": ["", "a", 0]}, ["$.age", "$.emails[0]", "$.emails[2]"]],
+	[{"name": "Ann", "age": 30, "emails": [], "extra key": 0}, ["$[\"extra key\"]"]],
+	[[], ["$"]],
+];
+
+for(const [testCase, expected] of testCases) {
+	const actual = tc.validate(isUser, testCase).map((failure) => failure.path);
+
+	if(JSON.stringify(actual) !== JSON.stringify(expected)) {
+		console.warn(
+			"Test failed in 'tc.validate()': for argument '%s', expected '%s', but got '%s'.",
+			JSON.stringify(testCase),
+			JSON.stringify(expected),
+			JSON.stringify(actual)
+		);
+	}
+}
+
+const validateUsers = tc.makeValidation(tc.arrayOf(isUser));
+let error = null;
+
+try {
+	validateUsers([testCases[0][0], testCases[1][0], testCases[2][0]]);
+} catch(caughtError) {
+	error = caughtError;
+}
+if(!(error instanceof tc.ValidationError) || error.failures.length !== 4) {
+	console.warn(
+		"Test failed in 'tc.makeValidation()': expected a 'ValidationError' with 4 failures, but got '%s'.",
+		error
+	);
+}